@@ -0,0 +1,89 @@
+// Default achievement definitions (models/AchievementDef.js).
+// Missing codes are inserted on start; existing definitions are never overwritten,
+// so edits made from the admin panel (/api/admin/achievements) stick.
+//
+// Trigger rules: "<metric> <op> <number>", joined with "&&".
+//   metrics: level, coins, achievementPoints, coinsReceived, coinsSent, stats.<User.stats key>
+//   ops:     >=  >  <=  <  ==
+// coinsReceived/coinsSent rules are re-checked on coin events (transfers, escrow releases),
+// everything else on every stat change, login and level-up.
+
+const DEFAULT_ACHIEVEMENTS = [
+  {
+    code: "FIRST_LOGIN",
+    title: "First Login",
+    description: "Log in for the first time.",
+    coinsReward: 10,
+    trigger: "stats.logins >= 1",
+    sortOrder: 1
+  },
+  {
+    code: "LEVEL2_UNLOCKED",
+    title: "Unlocked Level 2",
+    description: "Reach Level 2.",
+    coinsReward: 50,
+    trigger: "level >= 2",
+    sortOrder: 2
+  },
+  {
+    code: "LEVEL3_UNLOCKED",
+    title: "Unlocked Level 3",
+    description: "Reach Level 3.",
+    coinsReward: 75,
+    trigger: "level >= 3",
+    sortOrder: 3
+  },
+  {
+    code: "FIRST_BUG_REPORT",
+    title: "First Bug Report",
+    description: "Report a bug.",
+    coinsReward: 25,
+    trigger: "stats.bugReports >= 1",
+    sortOrder: 4
+  },
+  {
+    code: "LEVEL5_UNLOCKED",
+    title: "Unlocked Level 5",
+    description: "Reach Level 5.",
+    coinsReward: 100,
+    trigger: "level >= 5",
+    sortOrder: 5
+  },
+  {
+    code: "GROUP_REGULAR",
+    title: "Group Regular",
+    description: "Send 100 group messages.",
+    coinsReward: 50,
+    trigger: "stats.groupMessagesSent >= 100",
+    sortOrder: 6
+  },
+  {
+    code: "STREAK_7",
+    title: "Week Streak",
+    description: "Check in 7 days in a row.",
+    coinsReward: 50,
+    trigger: "stats.bestDailyStreak >= 7",
+    sortOrder: 8
+  },
+  {
+    code: "STREAK_30",
+    title: "Month Streak",
+    description: "Check in 30 days in a row.",
+    coinsReward: 200,
+    apReward: 25,
+    grantTitle: "Regular",
+    trigger: "stats.bestDailyStreak >= 30",
+    sortOrder: 9
+  },
+  {
+    code: "WELL_LIKED",
+    title: "Well Liked",
+    description: "Receive 1000 coins from other users.",
+    coinsReward: 100,
+    trigger: "coinsReceived >= 1000",
+    hidden: true,
+    sortOrder: 7
+  }
+];
+
+module.exports = { DEFAULT_ACHIEVEMENTS };
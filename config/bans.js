@@ -0,0 +1,22 @@
+// Scoped user bans (services/bans.js, models/Ban.js).
+//
+// Each scope maps to the User.bans flag that routes and ledger filters already
+// check; the flags are a cache of the user's active Ban documents, rebuilt by
+// syncUserBans whenever a ban is issued, lifted or runs out.
+
+const BAN_SCOPES = {
+  chat: "isBannedFromChat", // DMs, group messages, reactions, edits
+  coins: "isBannedFromCoins", // transfers, escrow, rewards, shop
+  groups: "isBannedFromGroups", // creating, joining, inviting to and posting in groups
+  uploads: "isBannedFromUploads", // image uploads
+  login: "isBannedFromLogin" // logging in; open sessions are ended
+};
+
+const BANS = {
+  maxDurationHours: 24 * 365,
+  maxReasonLength: 200,
+  // how often bans that ran out are lifted (requests also lift them on the spot)
+  sweepIntervalMs: 60 * 1000
+};
+
+module.exports = { BAN_SCOPES, BANS };
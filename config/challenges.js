@@ -0,0 +1,48 @@
+// Level challenges (services/challenges.js, routes/challenges.js).
+//
+// Challenges for level N can be attempted once the user is at level N - 1.
+// Solving every active challenge of level N while at level N - 1 levels the user
+// up for free. Answers are stored as sha256("<key>:<answer>"), never in plain text.
+
+const CHALLENGE_ATTEMPTS = {
+  // wrong answers allowed per challenge per window
+  maxPerWindow: 5,
+  windowMinutes: 10
+};
+
+// Created on first start when the Challenge collection is empty.
+// After that challenges are managed from the admin panel (/api/admin/challenges).
+const DEFAULT_CHALLENGES = [
+  {
+    key: "b64_warmup",
+    level: 2,
+    title: "Warm-up",
+    prompt: "Decode this and submit the flag: WlB7d2VsY29tZV90b190aGVfdGVybWluYWx9",
+    answerHash: "80d3750eaa886f3d2454c184a0a93d747787aa9c8bd71e40a6ae4d549998ec2f",
+    coinsReward: 25,
+    apReward: 5,
+    sortOrder: 1
+  },
+  {
+    key: "rot13_board",
+    level: 3,
+    title: "Spin the board",
+    prompt: "Thirteen steps forward: MC{ebgngr_gur_obneq}",
+    answerHash: "8338419bc432dc7eec73568ede1cea375c914a525337e14898f769e8fe40b883",
+    coinsReward: 40,
+    apReward: 10,
+    sortOrder: 1
+  },
+  {
+    key: "hex_dump",
+    level: 4,
+    title: "Hex dump",
+    prompt: "Read the bytes: 5a507b6865785f69735f6a7573745f62797465737d",
+    answerHash: "1f659841125ab6c1d85e861d8aa122316561c71ad354e3f0f90e2aa82c98ad28",
+    coinsReward: 60,
+    apReward: 15,
+    sortOrder: 1
+  }
+];
+
+module.exports = { CHALLENGE_ATTEMPTS, DEFAULT_CHALLENGES };
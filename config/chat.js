@@ -0,0 +1,26 @@
+// DM + group message rules (services/messages.js).
+
+const MESSAGE_RULES = {
+  maxTextLength: 2000,
+  // authors can edit their own message for this long after sending
+  editWindowMinutes: 15,
+  maxEdits: 20,
+  maxReasonLength: 300,
+  // length of the quoted parent shown above a reply
+  replyPreviewLength: 140
+};
+
+// Emoji allowed as group message reactions
+const REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🎉", "🔥", "👀"];
+
+// GET /api/search/messages (services/messageSearch.js)
+const MESSAGE_SEARCH = {
+  minQueryLength: 2,
+  maxQueryLength: 100,
+  defaultLimit: 20,
+  maxLimit: 50,
+  // characters of context kept on each side of the first match
+  snippetRadius: 60
+};
+
+module.exports = { MESSAGE_RULES, REACTIONS, MESSAGE_SEARCH };
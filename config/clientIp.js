@@ -0,0 +1,64 @@
+// Client IP resolution behind proxies (services/clientIp.js).
+//
+// Forwarding headers are only believed when the address that sent them is a
+// trusted proxy. X-Forwarded-For is read from the right, skipping trusted hops,
+// so whatever a client puts at the left end of the chain is ignored.
+//
+// Environment:
+//   TRUSTED_PROXIES   comma-separated CIDRs of your own proxies / load balancers
+//                     (default: loopback and private networks; empty = trust none)
+//   TRUST_CLOUDFLARE  "true": trust Cloudflare's edge ranges and its CF-Connecting-IP
+//   TRUST_X_REAL_IP   "true": take X-Real-IP from a trusted proxy (nginx, Vercel)
+//                     instead of walking X-Forwarded-For
+
+function list(value, fallback) {
+  if (value === undefined) return fallback;
+  return String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+const CLIENT_IP = {
+  trustedProxies: list(process.env.TRUSTED_PROXIES, [
+    "127.0.0.0/8",
+    "::1",
+    "10.0.0.0/8",
+    "172.16.0.0/12",
+    "192.168.0.0/16",
+    "fc00::/7"
+  ]),
+  cloudflare: process.env.TRUST_CLOUDFLARE === "true",
+  xRealIp: process.env.TRUST_X_REAL_IP === "true",
+
+  // https://www.cloudflare.com/ips/
+  cloudflareRanges: [
+    "173.245.48.0/20",
+    "103.21.244.0/22",
+    "103.22.200.0/22",
+    "103.31.4.0/22",
+    "141.101.64.0/18",
+    "108.162.192.0/18",
+    "190.93.240.0/20",
+    "188.114.96.0/20",
+    "197.234.240.0/22",
+    "198.41.128.0/17",
+    "162.158.0.0/15",
+    "104.16.0.0/13",
+    "104.24.0.0/14",
+    "172.64.0.0/13",
+    "131.0.72.0/22",
+    "2400:cb00::/32",
+    "2606:4700::/32",
+    "2803:f800::/32",
+    "2405:b500::/32",
+    "2405:8100::/32",
+    "2a06:98c0::/29",
+    "2c0f:f248::/32"
+  ],
+
+  // rate limits count a whole IPv6 /64 as one client (one subscriber's allocation)
+  ipv6RateLimitPrefix: 64
+};
+
+module.exports = { CLIENT_IP };
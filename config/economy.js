@@ -0,0 +1,118 @@
+// Coin transfer limits policy.
+// Used by services/transferLimits.js for every user -> user coin movement
+// (POST /api/coins/transfer, DM coin gifts in POST /api/chat/send, ...).
+//
+// Resolution order: default -> highest matching byLevel entry -> byRole entry.
+// A value of null means "no limit". Limits reset at midnight UTC.
+
+const TRANSFER_LIMITS = {
+  default: {
+    maxTransfersPerDay: 20,
+    maxCoinsPerDay: 2000,
+    maxCoinsPerRecipientPerDay: 500,
+    minAccountAgeHours: 24
+  },
+
+  // applies when user.level >= key
+  byLevel: {
+    3: { maxTransfersPerDay: 30, maxCoinsPerDay: 3000, maxCoinsPerRecipientPerDay: 1000 },
+    5: { maxTransfersPerDay: 50, maxCoinsPerDay: 5000, maxCoinsPerRecipientPerDay: 2000 },
+    10: { maxTransfersPerDay: 100, maxCoinsPerDay: 10000, maxCoinsPerRecipientPerDay: 5000 }
+  },
+
+  byRole: {
+    mod: { minAccountAgeHours: 0 },
+    admin: {
+      maxTransfersPerDay: null,
+      maxCoinsPerDay: null,
+      maxCoinsPerRecipientPerDay: null,
+      minAccountAgeHours: 0
+    }
+  }
+};
+
+// Coin escrow (routes/escrow.js). Held coins count towards the transfer limits above.
+const ESCROW = {
+  minAmount: 1,
+  defaultExpiryHours: 72,
+  maxExpiryHours: 14 * 24,
+  // how often expired escrows are refunded
+  sweepIntervalMs: 60 * 1000
+};
+
+// Feature Shop refunds and rentals (services/shop.js).
+// A purchase (or rental) can be refunded within windowHours if the item's usageStat
+// in User.stats hasn't moved since it was granted.
+const SHOP_REFUNDS = {
+  windowHours: 24,
+  percent: 100
+};
+
+const SHOP_RENTALS = {
+  // how often expired rentals are revoked
+  sweepIntervalMs: 60 * 1000
+};
+
+// Daily check-in (services/dailyRewards.js, /api/rewards/daily).
+// Days are calendar days in the user's timezone. Missing up to graceDays days in a
+// row keeps the streak. The reward for streak day N is rewards[N - 1] (last value repeats).
+const DAILY_REWARDS = {
+  rewards: [10, 15, 20, 25, 30, 40, 50],
+  graceDays: 1,
+  defaultTimezone: "UTC",
+  // stops double claims by switching timezone around midnight
+  minHoursBetweenClaims: 12
+};
+
+// Feature Shop items created on first start when the ShopItem collection is empty.
+// After that the catalog is managed from the admin panel (/api/admin/shop-items).
+// price is in coins, apPrice in achievement points (null = not sold for that currency).
+const DEFAULT_SHOP_ITEMS = [
+  {
+    key: "chat",
+    usageStat: "dmMessagesSent",
+    rentalPricePerDay: 15,
+    title: "Direct Messages",
+    price: 100,
+    apPrice: 20,
+    description: "Unlock 1:1 direct messages so you can chat privately with friends.",
+    sortOrder: 1
+  },
+  {
+    key: "groupChat",
+    usageStat: "groupMessagesSent",
+    rentalPricePerDay: 30,
+    title: "Join Group Chats",
+    price: 200,
+    description: "Unlock the ability to participate in existing group chats.",
+    sortOrder: 2
+  },
+  {
+    key: "createGroup",
+    usageStat: "groupsCreated",
+    rentalPricePerDay: 45,
+    title: "Create Group Chats",
+    price: 300,
+    description: "Create your own group chat rooms and invite other users.",
+    sortOrder: 3
+  },
+  {
+    key: "imageUpload",
+    usageStat: "imagesSent",
+    rentalPricePerDay: 20,
+    title: "Image Upload",
+    price: 150,
+    apPrice: 30,
+    description: "Send images in chat. Please follow all community guidelines.",
+    sortOrder: 4
+  }
+];
+
+module.exports = {
+  TRANSFER_LIMITS,
+  ESCROW,
+  SHOP_REFUNDS,
+  SHOP_RENTALS,
+  DAILY_REWARDS,
+  DEFAULT_SHOP_ITEMS
+};
@@ -1,28 +1,44 @@
-// Milestones for AP rewards.
+// Milestones for progression rewards (services/progression.js).
 // Keys must match: recordFeatureAction(userId, featureKey, statKey, delta)
+//
+// Each milestone grants once per user, when the stat reaches `count`:
+//   ap, coins (optional), grantTitle (optional), unlock (optional entitlement key)
 
 const FEATURE_MILESTONES = {
   chat: {
     dmMessagesSent: [
-      { count: 1, ap: 1, code: "CHAT_DM_1" },
-      { count: 10, ap: 5, code: "CHAT_DM_10" },
-      { count: 50, ap: 15, code: "CHAT_DM_50" }
+      { count: 1, ap: 1, code: "CHAT_DM_1", title: "First DM" },
+      { count: 10, ap: 5, code: "CHAT_DM_10", title: "10 DMs sent" },
+      { count: 50, ap: 15, code: "CHAT_DM_50", title: "50 DMs sent", grantTitle: "Chatterbox" }
     ]
   },
 
   groupChat: {
     groupMessagesSent: [
-      { count: 1, ap: 1, code: "GROUP_MSG_1" },
-      { count: 25, ap: 10, code: "GROUP_MSG_25" }
+      { count: 1, ap: 1, code: "GROUP_MSG_1", title: "First group message" },
+      { count: 25, ap: 10, code: "GROUP_MSG_25", title: "25 group messages" }
+    ],
+    // one per member per message, the first time they react to it
+    reactionsReceived: [
+      { count: 1, ap: 1, code: "REACTION_1", title: "First reaction received" },
+      { count: 25, ap: 10, code: "REACTION_25", title: "25 reactions received" },
+      { count: 100, ap: 25, code: "REACTION_100", title: "100 reactions received", grantTitle: "Crowd Pleaser" }
     ]
   },
 
   createGroup: {
-    groupsCreated: [{ count: 1, ap: 10, code: "GROUP_CREATE_1" }]
+    groupsCreated: [{ count: 1, ap: 10, code: "GROUP_CREATE_1", title: "Created a group" }]
   },
 
   imageUpload: {
-    imagesSent: [{ count: 1, ap: 2, code: "IMG_SENT_1" }]
+    imagesSent: [{ count: 1, ap: 2, code: "IMG_SENT_1", title: "First image sent" }]
+  },
+
+  challenges: {
+    challengesSolved: [
+      { count: 1, ap: 5, code: "CHALLENGE_SOLVED_1", title: "First challenge solved" },
+      { count: 5, ap: 20, code: "CHALLENGE_SOLVED_5", title: "5 challenges solved", grantTitle: "Puzzler" }
+    ]
   }
 };
 
@@ -0,0 +1,19 @@
+// IP bans (services/ipBans.js, models/IpBan.js).
+//
+// A ban covers a single address or a CIDR range, IPv4 or IPv6. checkIpBan matches
+// requests against an in-memory copy of the active bans; it is reloaded right
+// after any change made through the service, when the next ban runs out, and
+// every cacheRefreshMs so changes made by other instances show up.
+
+const IP_BANS = {
+  cacheRefreshMs: 30 * 1000,
+  // widest ranges that may be banned (/8 would be 16M IPv4 addresses)
+  minPrefix: { 4: 16, 6: 32 },
+  maxDurationHours: 24 * 365,
+  maxReasonLength: 200,
+  maxUsernames: 20,
+  defaultLimit: 100,
+  maxLimit: 500
+};
+
+module.exports = { IP_BANS };
@@ -0,0 +1,19 @@
+// Leaderboards (services/leaderboards.js, GET /api/leaderboards/:board).
+//
+// Admins, deleted accounts and chat/coin-banned users never appear on a board.
+// Windowed results are computed from the ledgers and message collections and
+// cached for cacheSeconds.
+
+const LEADERBOARDS = {
+  defaultLimit: 10,
+  maxLimit: 100,
+  cacheSeconds: 60,
+  // window name -> length in days (null = all-time)
+  windows: {
+    all: null,
+    week: 7,
+    month: 30
+  }
+};
+
+module.exports = { LEADERBOARDS };
@@ -0,0 +1,52 @@
+// Level registry.
+// Used by services/levels.js for level-up pricing (POST /api/coins/level-up),
+// perk checks (requireLevelPerk) and the /levels + /level/:num pages.
+//
+// cost = coins to go from the previous level to this one. When a level has no
+// explicit cost it comes from COST_CURVE: round(base * growth ^ (level - 2)).
+// A perk is unlocked at the first level that lists it and stays unlocked above.
+// content is the text on the level's page; leave it out when there is nothing to say.
+
+const COST_CURVE = {
+  base: 100,
+  growth: 1
+};
+
+// Perk keys used in code (requireLevelPerk("...")) -> what they allow.
+const PERKS = {
+  chatImages: "send images in chat",
+  customizeProfile: "customize your terminal (settheme/setstatus)",
+  createGroup: "create groups"
+};
+
+const LEVELS = [
+  {
+    level: 1,
+    title: "Newcomer",
+    cost: 0,
+    perks: [],
+    content: "Level 1 is the default. Earn achievements to get coins."
+  },
+  {
+    level: 2,
+    title: "Regular",
+    perks: ["chatImages"],
+    content: "Level 2 unlocks chat images (DM + group)."
+  },
+  {
+    level: 3,
+    title: "Operator",
+    perks: ["customizeProfile", "createGroup"],
+    content:
+      "Level 3 unlocks terminal customization (settheme/setstatus) and allows mods/admins to create groups."
+  },
+  { level: 4, title: "Tinkerer", perks: [] },
+  { level: 5, title: "Hacker", perks: [] },
+  { level: 6, title: "Architect", perks: [] },
+  { level: 7, title: "Sysop", perks: [] },
+  { level: 8, title: "Root", perks: [] },
+  { level: 9, title: "Kernel", perks: [] },
+  { level: 10, title: "ZeroPoint", perks: [] }
+];
+
+module.exports = { COST_CURVE, PERKS, LEVELS };
@@ -0,0 +1,19 @@
+// User reports and the moderator queue (services/reports.js, /api/reports, /api/mod).
+
+const MODERATION = {
+  // what a report can point at
+  kinds: ["dm", "group_message", "group", "profile"],
+  reasons: ["spam", "harassment", "inappropriate", "scam", "other"],
+  maxDetailsLength: 1000,
+  maxNoteLength: 500,
+  // open reports one user may have waiting at once (spam guard)
+  maxOpenPerReporter: 20,
+
+  // "chat_ban" resolution action (a Ban with source "report", services/bans.js)
+  chatBan: {
+    defaultHours: 24,
+    maxHours: 24 * 30
+  }
+};
+
+module.exports = { MODERATION };
@@ -0,0 +1,19 @@
+// Who may start DMs with / send group invites to a user (services/privacy.js).
+//
+// dmModes, from most to least open:
+//   everyone    anyone who has unlocked chat
+//   contacts    only people the user has messaged before
+//   groupmates  only people sharing a group with the user
+//   nobody      no one
+// The mode only gates new conversations: replying to someone who messaged you and
+// reading an existing thread are always allowed.
+// Blocking works on top of the mode and in both directions. Site mods/admins
+// are not held to the mode (they still can't message someone who blocked them).
+
+const PRIVACY = {
+  dmModes: ["everyone", "contacts", "groupmates", "nobody"],
+  defaultDmMode: "everyone",
+  maxBlocked: 500
+};
+
+module.exports = { PRIVACY };
@@ -0,0 +1,18 @@
+// Realtime chat delivery (services/realtime.js, GET /api/realtime/stream).
+//
+// Server-Sent Events, authenticated by the normal session cookie. Each stream is
+// one DM or group room; access is checked on connect and again every
+// revalidateSeconds, so a login or chat ban, a lost unlock or leaving a group closes it.
+// Pages fall back to polling the history routes when the stream is unavailable.
+
+const REALTIME = {
+  heartbeatSeconds: 25,
+  revalidateSeconds: 30,
+  maxStreamsPerUser: 5,
+  // typing indicator shown this long after the last ping
+  typingSeconds: 5,
+  // client polling interval when EventSource is unavailable
+  pollSeconds: 5
+};
+
+module.exports = { REALTIME };
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Achievement definition. `trigger` is a rule evaluated by services/achievements.js,
+// e.g. "stats.groupMessagesSent >= 100" or "level >= 5 && coinsReceived >= 1000".
+// An empty trigger means the achievement is only awarded from code.
+const achievementDefSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, index: true },
+  title: { type: String, required: true },
+  description: { type: String, default: "" },
+  coinsReward: { type: Number, default: 0, min: 0 },
+  apReward: { type: Number, default: 0, min: 0 },
+  grantTitle: { type: String, default: "" }, // added to User.titles
+  unlock: { type: String, default: "" }, // entitlement key (e.g. "chat")
+
+  trigger: { type: String, default: "" },
+
+  // hidden = secret: title/description/trigger are masked until earned
+  hidden: { type: Boolean, default: false },
+  active: { type: Boolean, default: true, index: true },
+  sortOrder: { type: Number, default: 0 },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("AchievementDef", achievementDefSchema);
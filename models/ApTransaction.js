@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Achievement point ledger, same direction rules as CoinTransaction:
+// fromUserId = debited account, toUserId = credited account, empty = system.
+// So for any user: achievementPoints === sum(credits) - sum(debits).
+const apTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      "achievement_reward",
+      "feature_purchase",
+      "feature_refund",
+      "admin_adjust",
+      "opening_balance"
+    ],
+    required: true,
+    index: true
+  },
+
+  fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  toUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  fromUsername: { type: String, default: "" },
+  toUsername: { type: String, default: "" },
+
+  actorUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  actorUsername: { type: String, default: "" },
+
+  amount: { type: Number, required: true, min: 0 },
+  description: { type: String, default: "" },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("ApTransaction", apTransactionSchema);
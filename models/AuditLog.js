@@ -1,7 +1,7 @@
 const mongoose = require("mongoose");
 
 const auditLogSchema = new mongoose.Schema({
-  actorUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  actorUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = system job
   actorUsername: { type: String, required: true },
   actorRole: { type: String, required: true },
 
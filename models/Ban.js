@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// One ban of one scope on one user; kept after it ends as ban history (services/bans.js)
+const banSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    username: { type: String, required: true },
+
+    scope: { type: String, enum: ["chat", "coins", "groups", "uploads", "login"], required: true },
+    reason: { type: String, default: "" },
+    startsAt: { type: Date, default: Date.now },
+    endsAt: { type: Date, default: null }, // null = until lifted
+
+    // admin | report (mod queue) | legacy (flag set before ban history existed)
+    source: { type: String, default: "admin" },
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: "Report", default: null },
+    issuedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    issuedByUsername: { type: String, default: "" },
+
+    status: { type: String, enum: ["active", "expired", "lifted"], default: "active" },
+    liftedAt: { type: Date, default: null },
+    liftedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    liftedByUsername: { type: String, default: "" },
+    liftReason: { type: String, default: "" }
+  },
+  { timestamps: true }
+);
+
+banSchema.index({ userId: 1, _id: -1 }); // history
+banSchema.index({ userId: 1, status: 1 });
+banSchema.index({ status: 1, endsAt: 1 }); // expiry sweep
+
+module.exports = mongoose.model("Ban", banSchema);
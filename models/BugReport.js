@@ -25,6 +25,7 @@ const bugReportSchema = new mongoose.Schema(
     },
 
     screenshotUrl: { type: String, default: "" },
+    resolvedAt: { type: Date, default: null, index: true }, // last time status became "resolved"
 
     messages: { type: [messageSchema], default: [] },
     lastUpdatedAt: { type: Date, default: Date.now }
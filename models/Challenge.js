@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// One puzzle on a level page. The answer is only stored hashed
+// (see services/challenges.js hashAnswer).
+const challengeSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, index: true },
+  level: { type: Number, required: true, min: 2, index: true },
+  title: { type: String, required: true },
+  prompt: { type: String, default: "" },
+
+  answerHash: { type: String, required: true },
+
+  coinsReward: { type: Number, default: 0, min: 0 },
+  apReward: { type: Number, default: 0, min: 0 },
+
+  sortOrder: { type: Number, default: 0 },
+  active: { type: Boolean, default: true, index: true },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("Challenge", challengeSchema);
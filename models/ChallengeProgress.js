@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Per-user attempts on one challenge.
+// windowStartedAt/windowAttempts drive the CHALLENGE_ATTEMPTS rate limit.
+const challengeProgressSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  challengeId: { type: mongoose.Schema.Types.ObjectId, ref: "Challenge", required: true },
+
+  attempts: { type: Number, default: 0 },
+  windowStartedAt: { type: Date, default: Date.now },
+  windowAttempts: { type: Number, default: 0 },
+  lastAttemptAt: { type: Date, default: null },
+
+  solvedAt: { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+challengeProgressSchema.index({ userId: 1, challengeId: 1 }, { unique: true });
+
+module.exports = mongoose.model("ChallengeProgress", challengeProgressSchema);
@@ -11,7 +11,27 @@ const chatMessageSchema = new mongoose.Schema({
 
   coinsSent: { type: Number, default: 0, min: 0 },
 
+  // edits (services/messages.js): earlier versions, oldest first
+  editedAt: { type: Date, default: null },
+  edits: {
+    type: [{ text: String, replacedAt: Date, _id: false }],
+    default: []
+  },
+
+  // soft delete: content stays for moderators, history shows a tombstone
+  deletedAt: { type: Date, default: null },
+  deletedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  deletedByUsername: { type: String, default: "" },
+  deleteReason: { type: String, default: "" },
+  removedByModerator: { type: Boolean, default: false },
+
   createdAt: { type: Date, default: Date.now }
 });
 
+// conversation list + history (services/conversations.js)
+chatMessageSchema.index({ fromUserId: 1, createdAt: -1 });
+chatMessageSchema.index({ toUserId: 1, createdAt: -1 });
+chatMessageSchema.index({ toUserId: 1, fromUserId: 1, _id: 1 }); // unread counts
+chatMessageSchema.index({ text: "text" }); // message search
+
 module.exports = mongoose.model("ChatMessage", chatMessageSchema);
@@ -7,23 +7,43 @@ const coinTransactionSchema = new mongoose.Schema({
       "transfer",
       "admin_adjust",
       "level_up",
+      "feature_purchase",
+      "feature_rental",
+      "feature_refund",
+      "rental_expiry",
       "achievement_reward",
+      "daily_reward",
       "admin_set_level",
-      "admin_set_bans" 
+      "admin_set_role",
+      "admin_set_bans",
+      "escrow_hold",
+      "escrow_release",
+      "escrow_refund",
+      "opening_balance"
     ],
     required: true,
     index: true
   },
 
-  fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  toUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Ledger direction (see services/ledger.js):
+  // fromUserId = debited account, toUserId = credited account, empty = system
+  fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  toUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
   fromUsername: { type: String, default: "" },
   toUsername: { type: String, default: "" },
 
-  amount: { type: Number, required: true }, // positive number
+  // who triggered it when that isn't one of the two accounts (e.g. admin adjust)
+  actorUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  actorUsername: { type: String, default: "" },
+
+  // the other user when coins pass through the system (escrow hold -> release)
+  counterpartyUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  escrowId: { type: mongoose.Schema.Types.ObjectId, ref: "Escrow" },
+
+  amount: { type: Number, required: true, min: 0 }, // positive number
   description: { type: String, default: "" },
 
   createdAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model("CoinTransaction", coinTransactionSchema);
\ No newline at end of file
+module.exports = mongoose.model("CoinTransaction", coinTransactionSchema);
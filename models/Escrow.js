@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const disputeSchema = new mongoose.Schema(
+  {
+    openedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    openedByUsername: { type: String, default: "" },
+    reason: { type: String, default: "" },
+    openedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const resolutionSchema = new mongoose.Schema(
+  {
+    byUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    byUsername: { type: String, default: "" },
+    outcome: { type: String, enum: ["release", "refund"] },
+    note: { type: String, default: "" },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// Coins locked by a sender for a recipient (see services/escrow.js)
+const escrowSchema = new mongoose.Schema({
+  senderUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  senderUsername: { type: String, required: true },
+  recipientUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  recipientUsername: { type: String, required: true },
+
+  amount: { type: Number, required: true, min: 1 },
+  note: { type: String, default: "" },
+
+  // held -> released | refunded, or held -> disputed -> released | refunded
+  // "releasing"/"refunding" are short-lived while the ledger write runs
+  status: {
+    type: String,
+    enum: ["held", "disputed", "releasing", "refunding", "released", "refunded"],
+    default: "held",
+    index: true
+  },
+  statusChangedAt: { type: Date, default: Date.now },
+
+  expiresAt: { type: Date, required: true, index: true },
+
+  dispute: { type: disputeSchema, default: null },
+  resolution: { type: resolutionSchema, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  closedAt: { type: Date, default: null }
+});
+
+module.exports = mongoose.model("Escrow", escrowSchema);
@@ -8,7 +8,47 @@ const groupMessageSchema = new mongoose.Schema({
   text: { type: String, default: "" },
   imageUrl: { type: String, default: "" },
 
+  // threads: reply to another message of the same group
+  replyToId: { type: mongoose.Schema.Types.ObjectId, ref: "GroupMessage", default: null },
+  replyCount: { type: Number, default: 0 },
+
+  // emoji reactions (config/chat.js REACTIONS), one entry per user + emoji
+  reactions: {
+    type: [
+      {
+        emoji: String,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        username: String,
+        _id: false
+      }
+    ],
+    default: []
+  },
+  // members whose first reaction already counted toward the author's reactionsReceived
+  reactionsCounted: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+
+  // edits (services/messages.js): earlier versions, oldest first
+  editedAt: { type: Date, default: null },
+  edits: {
+    type: [{ text: String, replacedAt: Date, _id: false }],
+    default: []
+  },
+
+  // soft delete: content stays for moderators, history shows a tombstone
+  deletedAt: { type: Date, default: null },
+  deletedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  deletedByUsername: { type: String, default: "" },
+  deleteReason: { type: String, default: "" },
+  removedByModerator: { type: Boolean, default: false },
+
   createdAt: { type: Date, default: Date.now }
 });
 
+// unread counts after a read cursor (services/readCursors.js)
+groupMessageSchema.index({ groupId: 1, _id: 1 });
+// thread view
+groupMessageSchema.index({ replyToId: 1, _id: 1 });
+// message search
+groupMessageSchema.index({ text: "text" });
+
 module.exports = mongoose.model("GroupMessage", groupMessageSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Stored first response per user + Idempotency-Key (see services/idempotency.js)
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  key: { type: String, required: true },
+
+  // hash of method + path + body, to detect the same key reused for another request
+  requestHash: { type: String, required: true },
+
+  // "pending" while the first request is running, then "done"
+  state: { type: String, enum: ["pending", "done"], default: "pending" },
+  statusCode: { type: Number, default: 0 },
+  body: { type: Object, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  // Mongo TTL cleanup
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
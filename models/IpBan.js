@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 
 const ipBanSchema = new mongoose.Schema({
+  // normalized address or CIDR range ("1.2.3.4", "10.0.0.0/16", "2001:db8::/48")
   ip: {
     type: String,
     required: true,
@@ -11,15 +12,31 @@ const ipBanSchema = new mongoose.Schema({
     type: String,
     default: ""
   },
-  // null = permanent ban
+  // accounts this ban was issued for (informational, not enforced)
+  usernames: {
+    type: [String],
+    default: []
+  },
+  // null = permanent ban; Mongo's TTL monitor deletes the document once it passes
   expiresAt: {
     type: Date,
     default: null
   },
+  createdByUsername: {
+    type: String,
+    default: ""
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+ipBanSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+ipBanSchema.index({ usernames: 1 });
+
 module.exports = mongoose.model("IpBan", ipBanSchema);
\ No newline at end of file
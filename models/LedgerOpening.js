@@ -0,0 +1,11 @@
+const mongoose = require("mongoose");
+
+// One document per currency whose opening balances have been written
+// (services/ledger.js openCoinLedger / openApLedger). The unique key lets only
+// one server instance claim the job.
+const ledgerOpeningSchema = new mongoose.Schema({
+  currency: { type: String, enum: ["coins", "ap"], required: true, unique: true },
+  openedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("LedgerOpening", ledgerOpeningSchema);
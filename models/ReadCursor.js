@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Last message a user has read in one conversation (services/readCursors.js).
+// room uses the realtime room keys: "dm:<userA>:<userB>" or "group:<groupId>".
+const readCursorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  room: { type: String, required: true },
+
+  // only moves forward ($max), ObjectIds sort by creation time
+  lastReadId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+  updatedAt: { type: Date, default: Date.now }
+});
+
+readCursorSchema.index({ userId: 1, room: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReadCursor", readCursorSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// A user report of a DM, group message, group or profile (services/reports.js)
+const reportSchema = new mongoose.Schema(
+  {
+    reporterUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    reporterUsername: { type: String, required: true },
+
+    kind: { type: String, enum: ["dm", "group_message", "group", "profile"], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true }, // message, group or user id
+    // user responsible for the content (message author, group owner, profile owner)
+    targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    targetUsername: { type: String, default: "", index: true },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: "Group", default: null },
+
+    reason: { type: String, enum: ["spam", "harassment", "inappropriate", "scam", "other"], required: true },
+    details: { type: String, default: "" },
+
+    // the content as it was when reported, so a later edit/delete doesn't lose it
+    snapshot: {
+      text: { type: String, default: "" },
+      imageUrl: { type: String, default: "" }
+    },
+
+    status: {
+      type: String,
+      enum: ["open", "claimed", "resolved", "dismissed"],
+      default: "open"
+    },
+    claimedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    claimedByUsername: { type: String, default: "" },
+    claimedAt: { type: Date, default: null },
+
+    closedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    closedByUsername: { type: String, default: "" },
+    closedAt: { type: Date, default: null },
+    actions: { type: [String], default: [] }, // remove_content | warn | chat_ban
+    note: { type: String, default: "" }
+  },
+  { timestamps: true }
+);
+
+// queue, newest first per status
+reportSchema.index({ status: 1, _id: -1 });
+reportSchema.index({ reporterUserId: 1, kind: 1, targetId: 1, status: 1 });
+
+module.exports = mongoose.model("Report", reportSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Feature Shop catalog entry. Buying one grants an entitlement with the same key
+// (see services/entitlements.js).
+const shopItemSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, index: true }, // e.g. "chat"
+  title: { type: String, required: true },
+  description: { type: String, default: "" },
+
+  // coins and/or AP; null = can't be bought with that currency
+  price: { type: Number, default: null, min: 0 },
+  apPrice: { type: Number, default: null, min: 0 },
+  requiredLevel: { type: Number, default: 1, min: 1 },
+  prerequisites: { type: [String], default: [] }, // other item keys the user must own
+
+  // availability window (null = no bound)
+  availableFrom: { type: Date, default: null },
+  availableUntil: { type: Date, default: null },
+
+  // null = unlimited
+  stock: { type: Number, default: null, min: 0 },
+  sold: { type: Number, default: 0 },
+
+  // rentals: null = can only be bought permanently
+  rentalPricePerDay: { type: Number, default: null, min: 0 },
+  maxRentalDays: { type: Number, default: 30, min: 1 },
+
+  // User.stats key that shows the feature was used (refund policy); "" = not tracked
+  usageStat: { type: String, default: "" },
+
+  sortOrder: { type: Number, default: 0 },
+  retired: { type: Boolean, default: false, index: true },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("ShopItem", shopItemSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Coins a user has sent on one UTC day (services/transferLimits.js).
+// The daily limits are enforced by conditional $inc on this document.
+const transferCounterSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  day: { type: String, required: true }, // "YYYY-MM-DD" (UTC)
+
+  transfers: { type: Number, default: 0 },
+  coins: { type: Number, default: 0 },
+  // recipient userId -> coins sent to them that day
+  toRecipients: { type: Map, of: Number, default: {} },
+
+  // removed by the TTL index once the day is long over
+  expiresAt: { type: Date, required: true }
+});
+
+transferCounterSchema.index({ userId: 1, day: 1 }, { unique: true });
+transferCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("TransferCounter", transferCounterSchema);
@@ -1,19 +1,55 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 
+// One entry per reward ever granted (services/progression.js): achievements,
+// AP milestones and solved challenges all land here.
 const achievementSchema = new mongoose.Schema(
   {
     code: { type: String, required: true },
     title: { type: String, required: true },
-    earnedAt: { type: Date, default: Date.now }
+    earnedAt: { type: Date, default: Date.now },
+
+    source: { type: String, default: "achievement" }, // achievement | milestone | challenge
+    ap: { type: Number, default: 0 },
+    coins: { type: Number, default: 0 },
+    grantedTitle: { type: String, default: "" },
+    unlock: { type: String, default: "" }, // entitlement key granted with it
+    migrated: { type: Boolean, default: false } // copied from the old awardedAchievements list
+  },
+  { _id: false }
+);
+
+const entitlementSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true }, // ShopItem key, e.g. "chat"
+    source: { type: String, default: "purchase" }, // purchase | rental | legacy | admin | reward
+    grantedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: null }, // null = permanent, else rental end
+
+    // for refunds (services/shop.js)
+    pricePaid: { type: Number, default: 0 },
+    currency: { type: String, default: "coins" }, // coins | ap
+    usageAtGrant: { type: Number, default: null } // User.stats[item.usageStat] when granted
   },
   { _id: false }
 );
 
 const bansSchema = new mongoose.Schema(
   {
+    // cache of the active Ban documents (services/bans.js) - don't set directly
     isBannedFromChat: { type: Boolean, default: false },
     isBannedFromCoins: { type: Boolean, default: false },
+    isBannedFromGroups: { type: Boolean, default: false },
+    isBannedFromUploads: { type: Boolean, default: false },
+    isBannedFromLogin: { type: Boolean, default: false },
+    // per scope: when the last active ban ends (null = no ban or until lifted)
+    until: {
+      chat: { type: Date, default: null },
+      coins: { type: Date, default: null },
+      groups: { type: Date, default: null },
+      uploads: { type: Date, default: null },
+      login: { type: Date, default: null }
+    },
     reason: { type: String, default: "" },
     updatedAt: { type: Date, default: Date.now }
   },
@@ -39,8 +75,14 @@ const userSchema = new mongoose.Schema({
   theme: { type: String, default: "classic" }, // classic|green|amber
 
   achievements: { type: [achievementSchema], default: [] },
+  titles: { type: [String], default: [] }, // earned from progression rewards
   bans: { type: bansSchema, default: () => ({}) },
 
+  // generic feature entitlements (services/entitlements.js)
+  entitlements: { type: [entitlementSchema], default: [] },
+
+  // LEGACY: fixed unlock flags from before the data-driven shop.
+  // Still honoured as entitlements, but nothing writes them anymore.
   unlocks: {
     chat: { type: Boolean, default: false },
     groupChat: { type: Boolean, default: false },
@@ -52,9 +94,49 @@ const userSchema = new mongoose.Schema({
     dmMessagesSent: { type: Number, default: 0 },
     groupMessagesSent: { type: Number, default: 0 },
     groupsCreated: { type: Number, default: 0 },
-    imagesSent: { type: Number, default: 0 }
+    imagesSent: { type: Number, default: 0 },
+    challengesSolved: { type: Number, default: 0 },
+    logins: { type: Number, default: 0 },
+    bugReports: { type: Number, default: 0 },
+    reactionsReceived: { type: Number, default: 0 },
+    dailyClaims: { type: Number, default: 0 },
+    dailyStreak: { type: Number, default: 0 },
+    bestDailyStreak: { type: Number, default: 0 }
+  },
+
+  // moderator warnings (services/reports.js), newest last
+  warnings: {
+    type: [
+      {
+        reason: { type: String, default: "" },
+        byUsername: { type: String, default: "" },
+        reportId: { type: mongoose.Schema.Types.ObjectId, ref: "Report", default: null },
+        createdAt: { type: Date, default: Date.now },
+        _id: false
+      }
+    ],
+    default: []
+  },
+
+  // DM privacy + block list (services/privacy.js, config/privacy.js)
+  privacy: {
+    dmMode: {
+      type: String,
+      enum: ["everyone", "contacts", "groupmates", "nobody"],
+      default: "everyone"
+    },
+    blockedUserIds: { type: [mongoose.Schema.Types.ObjectId], default: [] }
+  },
+
+  // daily check-in (services/dailyRewards.js); streak counters live in stats
+  timezone: { type: String, default: "" }, // IANA name, "" = DAILY_REWARDS.defaultTimezone
+  daily: {
+    lastClaimDay: { type: String, default: "" }, // YYYY-MM-DD in the user's timezone
+    lastClaimAt: { type: Date, default: null }
   },
 
+  // LEGACY: AP milestone codes from before services/progression.js.
+  // Moved into `achievements` on start (migrateAwardedAchievements); nothing writes it anymore.
   awardedAchievements: { type: [String], default: [] },
   achievementPoints: { type: Number, default: 0 },
 
@@ -20,6 +20,8 @@ ZeroPoint.api.json = async function (url, options = {}) {
     credentials: "include"
   };
   if (options.body !== undefined) opts.body = JSON.stringify(options.body);
+  // coin-spending endpoints replay the first response for a repeated key
+  if (options.idempotencyKey) opts.headers["Idempotency-Key"] = options.idempotencyKey;
 
   const res = await fetch(url, opts);
   let data = null;
@@ -32,6 +34,15 @@ ZeroPoint.api.json = async function (url, options = {}) {
   return data;
 };
 
+/**
+ * New key for the Idempotency-Key header.
+ * Keep the same key while retrying one action, make a new one for the next action.
+ */
+ZeroPoint.api.newIdempotencyKey = function () {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 12);
+};
+
 ZeroPoint.logout = async function () {
   await ZeroPoint.api.json("/api/auth/logout", { method: "POST" });
 };
@@ -111,4 +122,203 @@ ZeroPoint.unlocks.buy = async function (key) {
     method: "POST",
     body: { key }
   });
-};
\ No newline at end of file
+};
+// ---------- Realtime chat (SSE with polling fallback) ----------
+
+/**
+ * Live updates for one conversation.
+ *   target: { with: username } or { group: id }
+ *   historyUrl: the /history route (polled with &after=<last id> when the stream is unavailable)
+ *   handlers: { onMessage(m), onUpdate(m), onTyping(username), onPresence(usernames),
+ *               onRead({ username, lastReadId }), onClosed(error) }
+ *
+ * Messages are de-duplicated by _id, so the page can also add its own sent messages.
+ * Returns { seen(m), typing() }.
+ */
+ZeroPoint.live = function (target, historyUrl, handlers = {}) {
+  const POLL_MS = 5000;
+  const seenIds = new Set();
+  let lastId = null;
+  let pollTimer = null;
+  let lastTypingSent = 0;
+
+  function seen(m) {
+    if (!m || !m._id || seenIds.has(m._id)) return false;
+    seenIds.add(m._id);
+    if (!lastId || m._id > lastId) lastId = m._id;
+    return true;
+  }
+
+  function deliver(m) {
+    if (seen(m) && handlers.onMessage) handlers.onMessage(m);
+  }
+
+  function startPolling() {
+    if (pollTimer) return;
+    pollTimer = setInterval(async () => {
+      const sep = historyUrl.includes("?") ? "&" : "?";
+      const url = lastId ? `${historyUrl}${sep}after=${encodeURIComponent(lastId)}` : historyUrl;
+      const res = await ZeroPoint.api.json(url, { method: "GET" }).catch(() => null);
+      (res?.messages || []).forEach(deliver);
+    }, POLL_MS);
+  }
+
+  function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  const query = new URLSearchParams(target).toString();
+
+  if (window.EventSource) {
+    const es = new EventSource(`/api/realtime/stream?${query}`, { withCredentials: true });
+    const on = (name, fn) => es.addEventListener(name, (e) => fn(JSON.parse(e.data || "{}")));
+
+    on("ready", (d) => {
+      stopPolling();
+      if (handlers.onPresence) handlers.onPresence(d.online || []);
+    });
+    on("message", deliver);
+    on("typing", (d) => handlers.onTyping && handlers.onTyping(d.username));
+    on("presence", (d) => handlers.onPresence && handlers.onPresence(d.online || []));
+    on("read", (d) => handlers.onRead && handlers.onRead(d));
+    on("update", (m) => handlers.onUpdate && handlers.onUpdate(m));
+    on("closed", (d) => {
+      es.close();
+      stopPolling();
+      if (handlers.onClosed) handlers.onClosed(d.error);
+    });
+    // the browser reconnects by itself; poll meanwhile (or for good if it gave up)
+    es.onerror = () => startPolling();
+  } else {
+    startPolling();
+  }
+
+  return {
+    seen,
+    typing() {
+      const now = Date.now();
+      if (now - lastTypingSent < 3000) return;
+      lastTypingSent = now;
+      ZeroPoint.api.json("/api/realtime/typing", { method: "POST", body: target }).catch(() => {});
+    }
+  };
+};
+
+// ---------- Infinite scroll ----------
+
+/**
+ * Call loadMore() when `el` is scrolled within 40px of its top or bottom edge.
+ * loadMore resolves to false when there is nothing more to load (stops listening).
+ *
+ * Example (chat log, older messages on top):
+ *   ZeroPoint.onScrollEdge(log, "top", loadOlder);
+ */
+ZeroPoint.onScrollEdge = function (el, edge, loadMore) {
+  let busy = false;
+  let done = false;
+  el.addEventListener("scroll", async () => {
+    if (busy || done) return;
+    const near =
+      edge === "top" ? el.scrollTop < 40 : el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+    if (!near) return;
+    busy = true;
+    try {
+      if ((await loadMore()) === false) done = true;
+    } finally {
+      busy = false;
+    }
+  });
+};
+
+// ---------- Message edit / delete / report (chat.html, group.html) ----------
+
+// keep in sync with MESSAGE_RULES.editWindowMinutes (server enforces it anyway)
+ZeroPoint.EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Body of a message: text/image, or a tombstone when it was deleted.
+ */
+ZeroPoint.messageBody = function (m) {
+  if (m.deleted) {
+    const who = m.removedBy === "moderator" ? "removed by a moderator" : "message deleted";
+    return `<div class="dim-text"><i>${who}</i></div>`;
+  }
+  return `
+    <div>${ZeroPoint.escapeHtml(m.text || "").replace(/\n/g, "<br>")}</div>
+    ${m.imageUrl ? `<img src="${m.imageUrl}" alt="img">` : ""}
+  `;
+};
+
+/**
+ * Edit/delete/report links for a message. canModerate: viewer may remove others' messages.
+ */
+ZeroPoint.messageActions = function (m, myUsername, { canModerate = false } = {}) {
+  if (m.deleted) return "";
+  const own = m.fromUsername === myUsername;
+  const links = [];
+  if (own && Date.now() - new Date(m.createdAt).getTime() < ZeroPoint.EDIT_WINDOW_MS) {
+    links.push(`<a href="#" data-action="edit">edit</a>`);
+  }
+  if (own) links.push(`<a href="#" data-action="delete">delete</a>`);
+  else if (canModerate) links.push(`<a href="#" data-action="remove">remove</a>`);
+  if (!own) links.push(`<a href="#" data-action="report">report</a>`);
+  return links.length ? ` • ${links.join(" ")}` : "";
+};
+
+/**
+ * Handle clicks on the links above. baseUrl: ".../messages/" (message id is appended).
+ * onUpdated(message) gets the edited message or the tombstone.
+ * reportKind: "dm" | "group_message" (POST /api/reports).
+ */
+ZeroPoint.bindMessageActions = function (log, baseUrl, onUpdated, reportKind) {
+  log.addEventListener("click", async (e) => {
+    const link = e.target.closest("[data-action]");
+    if (!link) return;
+    e.preventDefault();
+    const el = link.closest("[data-id]");
+    const id = el && el.dataset.id;
+    if (!id) return;
+
+    let res;
+    const action = link.dataset.action;
+    if (action === "edit") {
+      const current = el.dataset.text || "";
+      const text = prompt("Edit message:", current);
+      if (text === null || text === current) return;
+      res = await ZeroPoint.api.json(baseUrl + id + "/edit", { method: "POST", body: { text } });
+    } else if (action === "delete") {
+      if (!confirm("Delete this message?")) return;
+      res = await ZeroPoint.api.json(baseUrl + id + "/delete", { method: "POST", body: {} });
+    } else if (action === "remove") {
+      const reason = prompt("Reason for removing this message:");
+      if (!reason) return;
+      res = await ZeroPoint.api.json(baseUrl + id + "/delete", { method: "POST", body: { reason } });
+    } else if (action === "report") {
+      ZeroPoint.report({ kind: reportKind, targetId: id });
+      return;
+    }
+    if (!res) return;
+    if (res.error) return alert(res.error);
+    onUpdated(res.message);
+  });
+};
+
+/**
+ * Report something to the moderators. target: { kind, targetId } or { kind: "profile", username }.
+ */
+ZeroPoint.report = async function (target) {
+  const details = prompt("Why are you reporting this? (spam, harassment, ...)");
+  if (details === null) return;
+  const res = await ZeroPoint.api.json("/api/reports", {
+    method: "POST",
+    body: { ...target, reason: ZeroPoint.reportReason(details), details }
+  });
+  alert(res.error || (res.duplicate ? "You already reported this. A moderator will look at it." : "Reported. Thanks, a moderator will look at it."));
+};
+
+// first matching reason word in the free text, else "other"
+ZeroPoint.reportReason = function (details) {
+  const text = String(details || "").toLowerCase();
+  return ["spam", "harassment", "inappropriate", "scam"].find((r) => text.includes(r)) || "other";
+};
@@ -1,16 +1,6 @@
 const User = require("../models/User");
-
-function getClientIp(req) {
-  if (!req) return "";
-
-  const xff = req.headers?.["x-forwarded-for"];
-  if (typeof xff === "string" && xff.length) {
-    // "client, proxy1, proxy2" -> take the first one
-    return xff.split(",")[0].trim();
-  }
-
-  return req.ip || req.socket?.remoteAddress || req.connection?.remoteAddress || "";
-}
+const { refreshExpiredBans, banError } = require("../services/bans");
+const { getClientIp } = require("../services/clientIp");
 
 function requireLogin(req, res, next) {
   if (!req.session || !req.session.userId) {
@@ -38,6 +28,15 @@ async function loadUser(req, res, next) {
       return res.status(401).json({ error: "User not found" });
     }
 
+    // temporary bans that ran out are lifted before anything checks them
+    await refreshExpiredBans(user);
+    if (user.bans?.isBannedFromLogin) {
+      try {
+        req.session.destroy(() => {});
+      } catch {}
+      return res.status(403).json({ error: banError(user, "login") });
+    }
+
     req.user = user;
 
     // ---- lastSeenAt / lastIp tracking (throttled) ----
@@ -1,15 +1,49 @@
 const express = require("express");
 const router = express.Router();
+const User = require("../models/User");
 const { loadUser } = require("./_helpers");
-const { ACHIEVEMENTS } = require("../services/achievements");
+const { getAchievementDefs } = require("../services/achievements");
+const { rewardHistory } = require("../services/progression");
 
+// Reward history (achievements, AP milestones, challenges), newest first.
+// Optional ?source=achievement|milestone|challenge
 router.get("/me", loadUser, async (req, res) => {
-  res.json({ achievements: req.user.achievements || [] });
+  res.json({
+    achievements: rewardHistory(req.user, { source: req.query.source ? String(req.query.source) : undefined }),
+    achievementPoints: req.user.achievementPoints || 0,
+    titles: req.user.titles || []
+  });
 });
 
 router.get("/defs", async (req, res) => {
-  // helpful for "locked/unlocked" UI
-  res.json({ defs: Object.values(ACHIEVEMENTS) });
+  // helpful for "locked/unlocked" UI; login is optional
+  const user = req.session?.userId
+    ? await User.findById(req.session.userId, "achievements").lean()
+    : null;
+  const earned = new Map((user?.achievements || []).map((a) => [a.code, a.earnedAt]));
+
+  const defs = (await getAchievementDefs()).map((d) => {
+    const isEarned = earned.has(d.code);
+    // secret achievements stay masked until earned
+    if (d.hidden && !isEarned) {
+      return { code: d.code, hidden: true, title: "???", description: "Secret achievement", earned: false };
+    }
+    return {
+      code: d.code,
+      hidden: d.hidden,
+      title: d.title,
+      description: d.description,
+      coinsReward: d.coinsReward,
+      apReward: d.apReward || 0,
+      grantTitle: d.grantTitle || "",
+      unlock: d.unlock || "",
+      trigger: d.trigger,
+      earned: isEarned,
+      earnedAt: earned.get(d.code) || null
+    };
+  });
+
+  res.json({ defs });
 });
 
 module.exports = router;
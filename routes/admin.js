@@ -1,13 +1,24 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 
 const User = require("../models/User");
 const AuditLog = require("../models/AuditLog");
-const IpBan = require("../models/IpBan"); // NEW: IP ban model (you'll add this file)
+const ShopItem = require("../models/ShopItem");
+const Challenge = require("../models/Challenge");
+const AchievementDef = require("../models/AchievementDef");
 
 const { loadUser, requireAdmin, getClientIp } = require("./_helpers");
 const { adminLimiter } = require("../services/security");
 const { audit } = require("../services/audit");
+const { parsePage, paginate } = require("../services/pagination");
+const { MESSAGE_MODELS } = require("../services/messages");
+const { debit } = require("../services/ledger");
+const { isValidLevel } = require("../services/levels");
+const { hashAnswer } = require("../services/challenges");
+const { BAN_SCOPES, issueBan, liftBans, setBanFlags, banHistory } = require("../services/bans");
+const { parseTrigger, invalidateAchievementDefs } = require("../services/achievements");
+const { listIpBans, createIpBan, updateIpBan, deleteIpBan, banUserIp } = require("../services/ipBans");
 
 /**
  * Admin: list users for "User Profile Database"
@@ -45,21 +56,23 @@ router.get("/users", adminLimiter, loadUser, requireAdmin, async (req, res) => {
   res.json({ users });
 });
 
-// Toggle ban flags
+// Toggle ban flags; durationHours makes new bans temporary (services/bans.js)
 router.post("/users/ban-flags", adminLimiter, loadUser, requireAdmin, async (req, res) => {
-  const { username, chatBan, coinsBan, reason } = req.body || {};
+  const { username, chatBan, coinsBan, reason, durationHours } = req.body || {};
   if (!username) return res.status(400).json({ error: "Missing username" });
 
   const target = await User.findOne({ username: String(username).trim() });
   if (!target) return res.status(404).json({ error: "User not found" });
 
-  if (!target.bans) target.bans = {};
-  if (typeof chatBan === "boolean") target.bans.isBannedFromChat = chatBan;
-  if (typeof coinsBan === "boolean") target.bans.isBannedFromCoins = coinsBan;
-  if (typeof reason === "string") target.bans.reason = reason.slice(0, 200);
-  target.bans.updatedAt = new Date();
-
-  await target.save();
+  const result = await setBanFlags({
+    req,
+    user: target,
+    flags: { chat: chatBan, coins: coinsBan },
+    hours: durationHours,
+    reason: typeof reason === "string" ? reason : ""
+  });
+  if (!result.ok) return res.status(result.status).json({ error: result.error });
+  target.bans = result.bans;
 
   await audit({
     actor: req.user,
@@ -72,6 +85,50 @@ router.post("/users/ban-flags", adminLimiter, loadUser, requireAdmin, async (req
   res.json({ ok: true, username: target.username, bans: target.bans });
 });
 
+// Ban history (newest first) + current flags
+router.get("/users/:username/bans", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const target = await User.findOne({ username: String(req.params.username).trim() }, "username bans").lean();
+    if (!target) return res.status(404).json({ error: "User not found" });
+    res.json({ username: target.username, bans: target.bans || {}, history: await banHistory(target._id) });
+  } catch (err) {
+    console.error("GET /admin/users/:username/bans error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Issue a ban { username, scope: chat|coins|groups|uploads|login, durationHours?, reason }
+router.post("/users/bans", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const { username, scope, durationHours, reason } = req.body || {};
+    const target = await User.findOne({ username: String(username || "").trim() }, "username role");
+    if (!target) return res.status(404).json({ error: "User not found" });
+
+    const result = await issueBan({ req, user: target, scope, hours: durationHours, reason });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, ban: result.ban, bans: result.bans });
+  } catch (err) {
+    console.error("POST /admin/users/bans error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Lift bans { username, banId } or { username, scope } (every active ban of that scope)
+router.post("/users/bans/lift", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const { username, scope, banId, reason } = req.body || {};
+    const target = await User.findOne({ username: String(username || "").trim() }, "username");
+    if (!target) return res.status(404).json({ error: "User not found" });
+
+    const result = await liftBans({ req, user: target, scope, banId, reason });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /admin/users/bans/lift error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // Set role
 router.post("/users/set-role", adminLimiter, loadUser, requireAdmin, async (req, res) => {
   const { username, role } = req.body || {};
@@ -104,7 +161,7 @@ router.post("/users/set-role", adminLimiter, loadUser, requireAdmin, async (req,
 router.post("/users/set-level", adminLimiter, loadUser, requireAdmin, async (req, res) => {
   const { username, level } = req.body || {};
   const lvl = Number(level);
-  if (!username || !Number.isInteger(lvl) || lvl < 1 || lvl > 10) {
+  if (!username || !isValidLevel(lvl)) {
     return res.status(400).json({ error: "Invalid request" });
   }
 
@@ -128,7 +185,7 @@ router.post("/users/set-level", adminLimiter, loadUser, requireAdmin, async (req
 /**
  * NEW: Soft delete a user account (admin-only).
  * - Sets isDeleted = true
- * - Zeroes coins
+ * - Zeroes coins (recorded in the coin ledger)
  * - Bans from chat + coins
  * - Optionally resets unlocks / status
  */
@@ -146,16 +203,22 @@ router.post("/users/delete", adminLimiter, loadUser, requireAdmin, async (req, r
       return res.status(400).json({ error: "You cannot delete your own account" });
     }
 
-    target.isDeleted = true;
-    target.coins = 0;
+    // zero the balance through the ledger so history still adds up
+    if (target.coins > 0) {
+      const result = await debit({
+        userId: target._id,
+        amount: target.coins,
+        type: "admin_adjust",
+        description: "Account deleted by admin",
+        actor: req.user
+      });
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+    }
 
-    if (!target.bans) target.bans = {};
-    target.bans.isBannedFromChat = true;
-    target.bans.isBannedFromCoins = true;
-    target.bans.reason = "Account deleted by admin";
-    target.bans.updatedAt = new Date();
+    target.isDeleted = true;
 
     // optional: reset unlocks / status to keep UI clean
+    target.entitlements = [];
     if (target.unlocks) {
       target.unlocks.chat = false;
       target.unlocks.groupChat = false;
@@ -166,6 +229,10 @@ router.post("/users/delete", adminLimiter, loadUser, requireAdmin, async (req, r
 
     await target.save();
 
+    for (const scope of ["chat", "coins"]) {
+      await issueBan({ req, user: target, scope, reason: "Account deleted by admin" });
+    }
+
     await audit({
       actor: req.user,
       action: "ADMIN_DELETE_USER",
@@ -183,8 +250,8 @@ router.post("/users/delete", adminLimiter, loadUser, requireAdmin, async (req, r
 
 /**
  * NEW: Full ban (user + IP).
- * - Bans user from chat + coins with reason
- * - Creates/updates IpBan for their lastIp (or current request IP)
+ * - Bans user from every scope (chat, coins, groups, uploads, login) with reason
+ * - Permanently bans their lastIp (services/ipBans) and links the username to it
  */
 router.post("/users/full-ban", adminLimiter, loadUser, requireAdmin, async (req, res) => {
   try {
@@ -197,50 +264,494 @@ router.post("/users/full-ban", adminLimiter, loadUser, requireAdmin, async (req,
 
     const banReason = reason || "Full ban";
 
-    if (!target.bans) target.bans = {};
-    target.bans.isBannedFromChat = true;
-    target.bans.isBannedFromCoins = true;
-    target.bans.reason = banReason;
-    target.bans.updatedAt = new Date();
-    await target.save();
-
-    // choose IP to ban: prefer user's lastIp, fallback to current request IP
-    const ipToBan = target.lastIp || getClientIp(req);
+    // every scope, until lifted
+    for (const scope of Object.keys(BAN_SCOPES)) {
+      await issueBan({ req, user: target, scope, reason: banReason });
+    }
 
+    // never fall back to the request IP here: that's the admin's own address
+    const ipToBan = target.lastIp || "";
+    let ipBan = null;
     if (ipToBan) {
-      await IpBan.updateOne(
-        { ip: ipToBan },
-        {
-          $set: {
-            ip: ipToBan,
-            reason: banReason,
-            // null = permanent ban; you can change to Date.now() + duration if you ever add temp bans
-            expiresAt: null
-          }
-        },
-        { upsert: true }
-      );
+      ipBan = await banUserIp(req, { ip: ipToBan, username: target.username, reason: banReason });
     }
 
     await audit({
       actor: req.user,
       action: "ADMIN_FULL_BAN",
       targetUsername: target.username,
-      details: { reason: banReason, ip: ipToBan || "" },
+      details: { reason: banReason, ip: ipToBan, ipBanned: !!ipBan?.ok, ipError: ipBan?.error || "" },
       ip: getClientIp(req)
     });
 
-    return res.json({ ok: true });
+    return res.json({ ok: true, ipBan: ipBan?.ok ? ipBan.ban : null, ipError: ipBan?.error || "" });
   } catch (err) {
     console.error("POST /admin/users/full-ban error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
+// ---------- IP bans ----------
+
+// ?ip=<address> (bans covering it) or ?username=, newest first, ?before=<nextCursor>
+router.get("/ip-bans", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const result = await listIpBans(req.query);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ bans: result.bans, nextCursor: result.nextCursor });
+  } catch (err) {
+    console.error("GET /admin/ip-bans error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Create { ip: address or CIDR, reason?, durationHours? (omit for permanent), usernames? }
+router.post("/ip-bans", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const result = await createIpBan(req, req.body || {});
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, ban: result.ban });
+  } catch (err) {
+    console.error("POST /admin/ip-bans error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Update reason / durationHours (from now; null = permanent) / usernames
+router.post("/ip-bans/:id", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const result = await updateIpBan(req, req.params.id, req.body || {});
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, ban: result.ban });
+  } catch (err) {
+    console.error("POST /admin/ip-bans/:id error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Unban { reason? }
+router.post("/ip-bans/:id/delete", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const result = await deleteIpBan(req, req.params.id, req.body?.reason);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("POST /admin/ip-bans/:id/delete error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------- Feature Shop catalog ----------
+
+const SHOP_ITEM_FIELDS = [
+  "title",
+  "description",
+  "price",
+  "apPrice",
+  "requiredLevel",
+  "prerequisites",
+  "availableFrom",
+  "availableUntil",
+  "stock",
+  "rentalPricePerDay",
+  "maxRentalDays",
+  "usageStat",
+  "sortOrder"
+];
+
+/**
+ * Validate/clean the editable ShopItem fields from a request body.
+ * Returns { ok: true, values } or { ok: false, error }.
+ */
+function cleanShopItemFields(body) {
+  const values = {};
+  for (const f of SHOP_ITEM_FIELDS) {
+    if (body[f] === undefined) continue;
+    const v = body[f];
+
+    if (f === "title") {
+      const t = String(v).trim().slice(0, 80);
+      if (!t) return { ok: false, error: "Title required" };
+      values.title = t;
+    } else if (f === "description") {
+      values.description = String(v).slice(0, 500);
+    } else if (f === "prerequisites") {
+      if (!Array.isArray(v)) return { ok: false, error: "prerequisites must be an array" };
+      values.prerequisites = v.map((k) => String(k).trim()).filter(Boolean);
+    } else if (f === "availableFrom" || f === "availableUntil") {
+      if (v === null || v === "") {
+        values[f] = null;
+      } else {
+        const d = new Date(v);
+        if (Number.isNaN(d.getTime())) return { ok: false, error: `Invalid ${f}` };
+        values[f] = d;
+      }
+    } else if (f === "usageStat") {
+      values.usageStat = String(v || "").trim().slice(0, 40);
+    } else if (["stock", "rentalPricePerDay", "price", "apPrice"].includes(f) && (v === null || v === "")) {
+      values[f] = null; // unlimited stock / not rentable / not sold for that currency
+    } else {
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) return { ok: false, error: `Invalid ${f}` };
+      if (f === "requiredLevel" && !isValidLevel(n)) {
+        return { ok: false, error: "Invalid requiredLevel" };
+      }
+      if (f === "maxRentalDays" && (!Number.isInteger(n) || n < 1)) {
+        return { ok: false, error: "Invalid maxRentalDays" };
+      }
+      values[f] = n;
+    }
+  }
+  return { ok: true, values };
+}
+
+// List all items (including retired)
+router.get("/shop-items", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const items = await ShopItem.find({}).sort({ retired: 1, sortOrder: 1, createdAt: 1 }).lean();
+    res.json({ items });
+  } catch (err) {
+    console.error("GET /admin/shop-items error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Create item
+router.post("/shop-items", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const key = String(body.key || "").trim();
+    if (!/^[a-zA-Z0-9_]{2,40}$/.test(key)) {
+      return res.status(400).json({ error: "Key must be 2-40 chars (letters/numbers/_)" });
+    }
+    if (body.title === undefined || (body.price == null && body.apPrice == null)) {
+      return res.status(400).json({ error: "Missing title/price (coins and/or AP)" });
+    }
+
+    const cleaned = cleanShopItemFields(body);
+    if (!cleaned.ok) return res.status(400).json({ error: cleaned.error });
+
+    const exists = await ShopItem.findOne({ key });
+    if (exists) return res.status(400).json({ error: "Key already exists" });
+
+    const item = await ShopItem.create({ key, ...cleaned.values });
+
+    await audit({
+      req,
+      action: "ADMIN_CREATE_SHOP_ITEM",
+      details: { key, ...cleaned.values },
+      ip: getClientIp(req)
+    });
+
+    res.json({ ok: true, item });
+  } catch (err) {
+    console.error("POST /admin/shop-items error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Update item (key is immutable: existing entitlements point at it)
+router.post("/shop-items/:key", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const cleaned = cleanShopItemFields(req.body || {});
+    if (!cleaned.ok) return res.status(400).json({ error: cleaned.error });
+
+    const item = await ShopItem.findOneAndUpdate(
+      { key: req.params.key },
+      { $set: { ...cleaned.values, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!item) return res.status(404).json({ error: "Item not found" });
+
+    await audit({
+      req,
+      action: "ADMIN_UPDATE_SHOP_ITEM",
+      details: { key: item.key, changes: cleaned.values },
+      ip: getClientIp(req)
+    });
+
+    res.json({ ok: true, item });
+  } catch (err) {
+    console.error("POST /admin/shop-items/:key error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Retire / un-retire item. Retired items can't be bought; owners keep their entitlement.
+router.post("/shop-items/:key/retire", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const retired = req.body?.retired !== false;
+
+    const item = await ShopItem.findOneAndUpdate(
+      { key: req.params.key },
+      { $set: { retired, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!item) return res.status(404).json({ error: "Item not found" });
+
+    await audit({
+      req,
+      action: retired ? "ADMIN_RETIRE_SHOP_ITEM" : "ADMIN_RESTORE_SHOP_ITEM",
+      details: { key: item.key },
+      ip: getClientIp(req)
+    });
+
+    res.json({ ok: true, item });
+  } catch (err) {
+    console.error("POST /admin/shop-items/:key/retire error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------- LEVEL CHALLENGES ----------
+
+const CHALLENGE_FIELDS = ["level", "title", "prompt", "answer", "coinsReward", "apReward", "sortOrder", "active"];
+
+/**
+ * Validate/clean the editable Challenge fields. A plain `answer` is turned into answerHash.
+ * Returns { ok: true, values } or { ok: false, error }.
+ */
+function cleanChallengeFields(body, key) {
+  const values = {};
+  for (const f of CHALLENGE_FIELDS) {
+    if (body[f] === undefined) continue;
+    const v = body[f];
+
+    if (f === "title") {
+      const t = String(v).trim().slice(0, 80);
+      if (!t) return { ok: false, error: "Title required" };
+      values.title = t;
+    } else if (f === "prompt") {
+      values.prompt = String(v).slice(0, 2000);
+    } else if (f === "answer") {
+      if (!String(v).trim()) return { ok: false, error: "Answer required" };
+      values.answerHash = hashAnswer(key, v);
+    } else if (f === "active") {
+      values.active = v !== false;
+    } else if (f === "level") {
+      const n = Number(v);
+      if (!isValidLevel(n) || n < 2) return { ok: false, error: "Invalid level" };
+      values.level = n;
+    } else {
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) return { ok: false, error: `Invalid ${f}` };
+      values[f] = n;
+    }
+  }
+  return { ok: true, values };
+}
+
+// List all challenges (answer hashes stay on the server)
+router.get("/challenges", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  const challenges = await Challenge.find({}, "-answerHash").sort({ level: 1, sortOrder: 1 }).lean();
+  res.json({ challenges });
+});
+
+// Create challenge { key, level, title, prompt, answer, coinsReward, apReward }
+router.post("/challenges", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const key = String(body.key || "").trim();
+    if (!/^[a-zA-Z0-9_]{2,40}$/.test(key)) {
+      return res.status(400).json({ error: "Key must be 2-40 chars (letters/numbers/_)" });
+    }
+    if (body.level === undefined || body.title === undefined || body.answer === undefined) {
+      return res.status(400).json({ error: "Missing level/title/answer" });
+    }
+
+    const cleaned = cleanChallengeFields(body, key);
+    if (!cleaned.ok) return res.status(400).json({ error: cleaned.error });
+
+    const exists = await Challenge.findOne({ key });
+    if (exists) return res.status(400).json({ error: "Key already exists" });
+
+    const challenge = await Challenge.create({ key, ...cleaned.values });
+
+    const { answerHash, ...logged } = cleaned.values;
+    await audit({
+      req,
+      action: "ADMIN_CREATE_CHALLENGE",
+      details: { key, ...logged },
+      ip: getClientIp(req)
+    });
+
+    res.json({ ok: true, challenge: { ...challenge.toObject(), answerHash: undefined } });
+  } catch (err) {
+    console.error("POST /admin/challenges error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Update challenge (key is immutable: it salts the answer hash and names the reward)
+router.post("/challenges/:key", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const cleaned = cleanChallengeFields(req.body || {}, req.params.key);
+    if (!cleaned.ok) return res.status(400).json({ error: cleaned.error });
+
+    const challenge = await Challenge.findOneAndUpdate(
+      { key: req.params.key },
+      { $set: { ...cleaned.values, updatedAt: new Date() } },
+      { new: true, projection: "-answerHash" }
+    );
+    if (!challenge) return res.status(404).json({ error: "Challenge not found" });
+
+    const { answerHash, ...logged } = cleaned.values;
+    await audit({
+      req,
+      action: "ADMIN_UPDATE_CHALLENGE",
+      details: { key: challenge.key, changes: logged, answerChanged: !!answerHash },
+      ip: getClientIp(req)
+    });
+
+    res.json({ ok: true, challenge });
+  } catch (err) {
+    console.error("POST /admin/challenges/:key error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------- ACHIEVEMENT DEFINITIONS ----------
+
+const ACHIEVEMENT_FIELDS = [
+  "title",
+  "description",
+  "coinsReward",
+  "apReward",
+  "grantTitle",
+  "unlock",
+  "trigger",
+  "hidden",
+  "active",
+  "sortOrder"
+];
+
+/**
+ * Validate/clean the editable AchievementDef fields (trigger must parse).
+ * Returns { ok: true, values } or { ok: false, error }.
+ */
+function cleanAchievementFields(body) {
+  const values = {};
+  for (const f of ACHIEVEMENT_FIELDS) {
+    if (body[f] === undefined) continue;
+    const v = body[f];
+
+    if (f === "title") {
+      const t = String(v).trim().slice(0, 80);
+      if (!t) return { ok: false, error: "Title required" };
+      values.title = t;
+    } else if (f === "description") {
+      values.description = String(v).slice(0, 300);
+    } else if (f === "trigger") {
+      const t = String(v || "").trim().slice(0, 300);
+      const parsed = parseTrigger(t);
+      if (!parsed.ok) return { ok: false, error: parsed.error };
+      values.trigger = t;
+    } else if (f === "grantTitle") {
+      values.grantTitle = String(v || "").trim().slice(0, 40);
+    } else if (f === "unlock") {
+      const key = String(v || "").trim();
+      if (key && !/^[a-zA-Z0-9_]{2,40}$/.test(key)) return { ok: false, error: "Invalid unlock key" };
+      values.unlock = key;
+    } else if (f === "hidden" || f === "active") {
+      values[f] = v === true;
+    } else {
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) return { ok: false, error: `Invalid ${f}` };
+      values[f] = n;
+    }
+  }
+  return { ok: true, values };
+}
+
+// List all definitions (including hidden and inactive)
+router.get("/achievements", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  const defs = await AchievementDef.find({}).sort({ sortOrder: 1, createdAt: 1 }).lean();
+  res.json({ defs });
+});
+
+// Create definition { code, title, description, coinsReward, trigger, hidden }
+router.post("/achievements", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const code = String(body.code || "").trim().toUpperCase();
+    if (!/^[A-Z0-9_]{2,40}$/.test(code)) {
+      return res.status(400).json({ error: "Code must be 2-40 chars (letters/numbers/_)" });
+    }
+    if (code.startsWith("CHALLENGE_")) {
+      return res.status(400).json({ error: "CHALLENGE_ codes are reserved for level challenges" });
+    }
+    if (body.title === undefined) return res.status(400).json({ error: "Missing title" });
+
+    const cleaned = cleanAchievementFields(body);
+    if (!cleaned.ok) return res.status(400).json({ error: cleaned.error });
+
+    const exists = await AchievementDef.findOne({ code });
+    if (exists) return res.status(400).json({ error: "Code already exists" });
+
+    const def = await AchievementDef.create({ code, ...cleaned.values });
+    invalidateAchievementDefs();
+
+    await audit({
+      req,
+      action: "ADMIN_CREATE_ACHIEVEMENT",
+      details: { code, ...cleaned.values },
+      ip: getClientIp(req)
+    });
+
+    res.json({ ok: true, def });
+  } catch (err) {
+    console.error("POST /admin/achievements error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Update definition (code is immutable: users' earned achievements point at it)
+router.post("/achievements/:code", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  try {
+    const cleaned = cleanAchievementFields(req.body || {});
+    if (!cleaned.ok) return res.status(400).json({ error: cleaned.error });
+
+    const def = await AchievementDef.findOneAndUpdate(
+      { code: req.params.code },
+      { $set: { ...cleaned.values, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!def) return res.status(404).json({ error: "Achievement not found" });
+    invalidateAchievementDefs();
+
+    await audit({
+      req,
+      action: "ADMIN_UPDATE_ACHIEVEMENT",
+      details: { code: def.code, changes: cleaned.values },
+      ip: getClientIp(req)
+    });
+
+    res.json({ ok: true, def });
+  } catch (err) {
+    console.error("POST /admin/achievements/:code error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Full message incl. edit history and removed content: /messages/dm/:id or /messages/group/:id
+router.get("/messages/:kind/:id", adminLimiter, loadUser, requireAdmin, async (req, res) => {
+  const Model = MESSAGE_MODELS[req.params.kind];
+  if (!Model || !mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Message not found" });
+  }
+  const message = await Model.findById(req.params.id).lean();
+  if (!message) return res.status(404).json({ error: "Message not found" });
+  res.json({ message });
+});
+
 // Audit logs
+// Newest first, ?before=<nextCursor>&limit=N for older entries
 router.get("/audit", adminLimiter, loadUser, requireAdmin, async (req, res) => {
-  const logs = await AuditLog.find({}).sort({ createdAt: -1 }).limit(200).lean();
-  res.json({ logs });
+  const page = parsePage(req.query, { defaultLimit: 200, maxLimit: 500 });
+  if (!page.ok) return res.status(page.status).json({ error: page.error });
+
+  const { items: logs, nextCursor } = await paginate(AuditLog, {}, page);
+  res.json({ logs, nextCursor });
 });
 
 module.exports = router;
\ No newline at end of file
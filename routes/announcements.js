@@ -24,8 +24,7 @@ router.post("/", adminLimiter, loadUser, requireAdmin, async (req, res) => {
   await audit({
     actor: req.user,
     action: "ADMIN_CREATE_ANNOUNCEMENT",
-    details: { title: ann.title },
-    ip: req.ip
+    details: { title: ann.title }
   });
 
   res.json({ ok: true, announcement: ann });
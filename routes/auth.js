@@ -1,19 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
-const { awardAchievement } = require("../services/achievements");
+const { recordFeatureAction } = require("../services/featureProgress");
 const { loginLimiter } = require("../services/security");
-
-function getClientIp(req) {
-  if (!req) return "";
-
-  const xff = req.headers?.["x-forwarded-for"];
-  if (typeof xff === "string" && xff.length) {
-    return xff.split(",")[0].trim();
-  }
-
-  return req.ip || req.socket?.remoteAddress || req.connection?.remoteAddress || "";
-}
+const { unreadCounts } = require("../services/readCursors");
+const { refreshExpiredBans, banSummary, banError } = require("../services/bans");
+const { getClientIp } = require("../services/clientIp");
 
 function regenerateSession(req) {
   return new Promise((resolve, reject) => {
@@ -99,6 +91,11 @@ router.post("/login", loginLimiter, async (req, res) => {
     const ok = await user.checkPassword(String(password));
     if (!ok) return res.status(400).json({ error: "Invalid credentials" });
 
+    await refreshExpiredBans(user);
+    if (user.bans?.isBannedFromLogin) {
+      return res.status(403).json({ error: banError(user, "login") });
+    }
+
     // Prevent session fixation
     await regenerateSession(req);
     req.session.userId = user._id.toString();
@@ -112,8 +109,8 @@ router.post("/login", loginLimiter, async (req, res) => {
       { $set: { lastLoginAt: now, lastSeenAt: now, lastIp: ip } }
     );
 
-    // award first-login achievement (only once)
-    await awardAchievement(user._id, "FIRST_LOGIN");
+    // login count (FIRST_LOGIN and other login achievements)
+    await recordFeatureAction(user._id, "account", "logins", 1);
 
     return res.json({
       ok: true,
@@ -161,6 +158,15 @@ router.get("/me", async (req, res) => {
     return res.json({ loggedIn: false });
   }
 
+  // a login ban ends the session (loadUser does the same on every API call)
+  await refreshExpiredBans(user);
+  if (user.bans?.isBannedFromLogin) {
+    try {
+      req.session.destroy(() => {});
+    } catch {}
+    return res.json({ loggedIn: false, error: banError(user, "login") });
+  }
+
   return res.json({
     loggedIn: true,
     user: {
@@ -176,7 +182,12 @@ router.get("/me", async (req, res) => {
       // optional: show to the user themself
       lastLoginAt: user.lastLoginAt || null,
       lastSeenAt: user.lastSeenAt || null
-    }
+    },
+    // moderator warnings (latest 5) and active bans with their remaining time
+    warnings: (user.warnings || []).slice(-5).map((w) => ({ reason: w.reason, createdAt: w.createdAt })),
+    bans: banSummary(user),
+    // header badge: { dms, groups, total }
+    unread: await unreadCounts(user)
   });
 });
 
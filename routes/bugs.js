@@ -3,7 +3,7 @@ const router = express.Router();
 const BugReport = require("../models/BugReport");
 const { loadUser, requireAdmin } = require("./_helpers");
 const { adminLimiter } = require("../services/security");
-const { awardAchievement } = require("../services/achievements");
+const { recordFeatureAction } = require("../services/featureProgress");
 const { audit } = require("../services/audit");
 
 // List mine
@@ -32,7 +32,7 @@ router.post("/", loadUser, async (req, res) => {
     lastUpdatedAt: new Date()
   });
 
-  await awardAchievement(req.user._id, "FIRST_BUG_REPORT");
+  await recordFeatureAction(req.user._id, "bugs", "bugReports", 1);
 
   res.json({ ok: true, bug });
 });
@@ -75,8 +75,7 @@ router.post("/:id/reply", loadUser, async (req, res) => {
       actor: req.user,
       action: "ADMIN_REPLY_BUG",
       targetUsername: bug.creatorUsername,
-      details: { bugId: bug._id.toString() },
-      ip: req.ip
+      details: { bugId: bug._id.toString() }
     });
   }
 
@@ -102,6 +101,7 @@ router.post("/admin/:id/status", adminLimiter, loadUser, requireAdmin, async (re
   const bug = await BugReport.findById(req.params.id);
   if (!bug) return res.status(404).json({ error: "Bug not found" });
 
+  if (status === "resolved" && bug.status !== "resolved") bug.resolvedAt = new Date();
   bug.status = status;
   bug.lastUpdatedAt = new Date();
   await bug.save();
@@ -110,8 +110,7 @@ router.post("/admin/:id/status", adminLimiter, loadUser, requireAdmin, async (re
     actor: req.user,
     action: "ADMIN_SET_BUG_STATUS",
     targetUsername: bug.creatorUsername,
-    details: { bugId: bug._id.toString(), status },
-    ip: req.ip
+    details: { bugId: bug._id.toString(), status }
   });
 
   res.json({ ok: true, bug });
@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { loadUser } = require("./_helpers");
+const { challengeLimiter } = require("../services/security");
+const { getLevel } = require("../services/levels");
+const { canAttemptLevel, listForLevel, submitAnswer } = require("../services/challenges");
+
+// Challenges on one level page
+router.get("/:level", loadUser, async (req, res) => {
+  try {
+    const level = getLevel(req.params.level);
+    if (!level) return res.status(404).json({ error: "Level not found" });
+
+    if (!canAttemptLevel(req.user, level.level)) {
+      return res.json({ level: level.level, locked: true, requiredLevel: level.level - 1, challenges: [] });
+    }
+
+    const challenges = await listForLevel(req.user, level.level);
+    res.json({ level: level.level, locked: false, challenges });
+  } catch (err) {
+    console.error("GET /challenges/:level error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Submit an answer { answer }
+router.post("/:id/submit", challengeLimiter, loadUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+
+    const { answer } = req.body || {};
+    const result = await submitAnswer(req.user, req.params.id, String(answer ?? "").slice(0, 200));
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, retryAt: result.retryAt || null });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error("POST /challenges/:id/submit error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -2,25 +2,34 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
 const ChatMessage = require("../models/ChatMessage");
-const CoinTransaction = require("../models/CoinTransaction");
 const { loadUser } = require("./_helpers");
 const { chatLimiter } = require("../services/security");
 const { recordFeatureAction } = require("../services/featureProgress");
+const { checkAchievementsSoon } = require("../services/achievements");
+const { transfer } = require("../services/ledger");
+const { idempotent } = require("../services/idempotency");
+const { hasEntitlement, requireEntitlement } = require("../services/entitlements");
+const { hasLevelPerk, levelPerkError } = require("../services/levels");
+const { dmAccess, dmFilter, dmRoom } = require("../services/chatAccess");
+const { canMessage } = require("../services/privacy");
+const { publishMessage } = require("../services/realtime");
+const { listConversations } = require("../services/conversations");
+const { readConversation, cursorsFor } = require("../services/readCursors");
+const { parsePage, paginate } = require("../services/pagination");
+const { publicMessage, editMessage, deleteMessage } = require("../services/messages");
 
 // ---------- unlock middlewares ----------
 
 // User must have chat unlocked to use DM features
-function requireChatUnlocked(req, res, next) {
-  if (!req.user) {
-    return res.status(401).json({ error: "Not logged in" });
-  }
-  if (!req.user.unlocks || !req.user.unlocks.chat) {
-    return res.status(403).json({
-      error: "Chat feature is locked. Unlock it in the Feature Shop."
-    });
-  }
-  next();
-}
+const requireChatUnlocked = requireEntitlement(
+  "chat",
+  "Chat feature is locked. Unlock it in the Feature Shop."
+);
+
+const requireImageUpload = requireEntitlement(
+  "imageUpload",
+  "Image Upload feature is locked. Unlock it in the Feature Shop."
+);
 
 // User must have imageUpload unlocked to send images in DM
 function requireImageUploadUnlocked(req, res, next) {
@@ -28,60 +37,104 @@ function requireImageUploadUnlocked(req, res, next) {
   const hasImage = !!(imageUrl && String(imageUrl).trim());
   if (!hasImage) return next(); // no image, no check
 
-  if (!req.user) {
-    return res.status(401).json({ error: "Not logged in" });
-  }
-  if (!req.user.unlocks || !req.user.unlocks.imageUpload) {
-    return res.status(403).json({
-      error: "Image Upload feature is locked. Unlock it in the Feature Shop."
-    });
-  }
-  next();
+  return requireImageUpload(req, res, next);
 }
 
 // ---------- routes ----------
 
-// GET /dm/history?with=username
-// Both users must have chat unlocked.
-router.get("/history", loadUser, requireChatUnlocked, async (req, res) => {
+// GET /conversations -> DM partners, newest first (last message, unread, coins exchanged)
+router.get("/conversations", loadUser, requireChatUnlocked, async (req, res) => {
   try {
-    const withUsername = String(req.query.with || "").trim();
-    if (!withUsername) {
-      return res.status(400).json({ error: "Missing ?with=username" });
-    }
+    const conversations = await listConversations(req.user);
+    res.json({ conversations });
+  } catch (err) {
+    console.error("GET /dm/conversations error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const other = await User.findOne({ username: withUsername });
-    if (!other) return res.status(404).json({ error: "User not found" });
+// GET /dm/history?with=username[&before=id|&after=id][&limit=N]
+// Both users must have chat unlocked. Messages are oldest-first; `nextCursor` pages
+// further back with ?before=, `after` returns only newer messages (polling fallback).
+router.get("/history", loadUser, async (req, res) => {
+  try {
+    const access = await dmAccess(req.user, req.query.with);
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+    const other = access.other;
+    const room = dmRoom(req.user._id, other._id);
 
-    // Receiver must also have chat unlocked
-    if (!other.unlocks || !other.unlocks.chat) {
-      return res.status(403).json({
-        error: "The other user has not unlocked chat yet."
-      });
-    }
+    const page = parsePage(req.query, { defaultLimit: 50, maxLimit: 200 });
+    if (!page.ok) return res.status(page.status).json({ error: page.error });
 
-    const filter = {
-      $or: [
-        { fromUserId: req.user._id, toUserId: other._id },
-        { fromUserId: other._id, toUserId: req.user._id }
-      ]
-    };
-
-    const messages = await ChatMessage.find(filter)
-      .sort({ createdAt: 1 })
-      .limit(200);
-    res.json({ messages });
+    const filter = dmFilter(req.user._id, other._id);
+    const { items: messages, nextCursor } = await paginate(ChatMessage, filter, page, {
+      ascending: true
+    });
+
+    // opening the conversation (or polling for new messages) reads it
+    if (messages.length && !page.before) {
+      await readConversation(req.user, room, ChatMessage, filter, messages[messages.length - 1]._id);
+    }
+    const seen = await cursorsFor(other._id, [room]);
+    res.json({ messages: messages.map(publicMessage), nextCursor, seenUpTo: seen.get(room) });
   } catch (err) {
     console.error("GET /dm/history error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// POST /dm/read { with, messageId? } -> read up to messageId (default: newest message)
+router.post("/read", loadUser, async (req, res) => {
+  try {
+    const { with: withUsername, messageId } = req.body || {};
+    const access = await dmAccess(req.user, withUsername);
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+    const result = await readConversation(
+      req.user,
+      dmRoom(req.user._id, access.other._id),
+      ChatMessage,
+      dmFilter(req.user._id, access.other._id),
+      messageId
+    );
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /dm/read error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /dm/messages/:id/edit { text } (author, within the edit window)
+router.post("/messages/:id/edit", chatLimiter, loadUser, requireChatUnlocked, async (req, res) => {
+  try {
+    const result = await editMessage(req.user, "dm", req.params.id, (req.body || {}).text);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /dm/messages/:id/edit error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /dm/messages/:id/delete { reason? } (author, or mod/admin with a reason)
+router.post("/messages/:id/delete", chatLimiter, loadUser, async (req, res) => {
+  try {
+    const result = await deleteMessage(req, "dm", req.params.id, (req.body || {}).reason);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /dm/messages/:id/delete error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // POST /dm/send
 router.post(
   "/send",
   chatLimiter,
   loadUser,
+  idempotent,
   requireChatUnlocked,
   requireImageUploadUnlocked,
   async (req, res) => {
@@ -114,49 +167,46 @@ router.post(
       }
 
       // Target must also have chat unlocked
-      if (!target.unlocks || !target.unlocks.chat) {
+      if (!hasEntitlement(target, "chat")) {
         return res.status(403).json({
           error: "The other user has not unlocked chat yet."
         });
       }
 
+      // blocks + the target's DM privacy mode unless this is a reply (also covers coin "gifts")
+      const contact = await canMessage(req.user, target);
+      if (!contact.ok) return res.status(contact.status).json({ error: contact.error });
+
       const hasImage = !!(imageUrl && String(imageUrl).trim());
-      if (hasImage && req.user.level < 2) {
-        return res.status(403).json({
-          error: "Level 2 required to send images"
-        });
+      if (hasImage && !hasLevelPerk(req.user, "chatImages")) {
+        return res.status(403).json({ error: levelPerkError("chatImages") });
       }
 
       // optional coins transfer via DM
+      let balance = req.user.coins;
       if (coins > 0) {
         if (req.user.bans?.isBannedFromCoins) {
           return res
             .status(403)
             .json({ error: "You are banned from coins" });
         }
-        if (req.user.coins < coins) {
+        if (target.bans?.isBannedFromCoins) {
           return res
-            .status(400)
-            .json({ error: "Not enough coins" });
-        }
-
-        req.user.coins -= coins;
-        await req.user.save();
-
-        if (!target.bans?.isBannedFromCoins) {
-          target.coins += coins;
+            .status(403)
+            .json({ error: "The other user cannot receive coins" });
         }
-        await target.save();
 
-        await CoinTransaction.create({
-          type: "transfer",
+        const result = await transfer({
           fromUserId: req.user._id,
           toUserId: target._id,
-          fromUsername: req.user.username,
-          toUsername: target.username,
           amount: coins,
           description: "DM transfer"
         });
+        if (!result.ok) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        balance = result.fromUser.coins;
+        checkAchievementsSoon(target._id);
       }
 
       const msg = await ChatMessage.create({
@@ -168,6 +218,8 @@ router.post(
         imageUrl: hasImage ? String(imageUrl).slice(0, 300) : "",
         coinsSent: coins > 0 ? coins : 0
       });
+      const message = publicMessage(msg);
+      publishMessage(dmRoom(req.user._id, target._id), message);
 
       // AP + stats: one DM sent, maybe one image
       await recordFeatureAction(
@@ -185,7 +237,7 @@ router.post(
         );
       }
 
-      res.json({ ok: true, message: msg, coins: req.user.coins });
+      res.json({ ok: true, message, coins: balance });
     } catch (err) {
       console.error("POST /dm/send error:", err);
       res.status(500).json({ error: "Server error" });
@@ -3,58 +3,68 @@ const router = express.Router();
 const User = require("../models/User");
 const CoinTransaction = require("../models/CoinTransaction");
 const { loadUser, requireAdmin } = require("./_helpers");
-const { awardAchievement } = require("../services/achievements");
+const { checkAchievements, checkAchievementsSoon } = require("../services/achievements");
 const { coinLimiter, adminLimiter } = require("../services/security");
 const { audit } = require("../services/audit");
+const { transfer, debit, credit } = require("../services/ledger");
+const { idempotent } = require("../services/idempotency");
+const { getAllowance } = require("../services/transferLimits");
+const { escrowTotals } = require("../services/escrow");
+const { entitlementMap } = require("../services/entitlements");
+const { setBanFlags, banSummary } = require("../services/bans");
+const { listCatalog, purchaseItem, refundItem } = require("../services/shop");
+const { isValidLevel, levelUpCost, perksFor } = require("../services/levels");
 
-async function dailyLimitsOK(userId, maxTransfers, maxCoins) {
-  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+// ---------- ME ----------
 
-  const transfersCount = await CoinTransaction.countDocuments({
-    type: "transfer",
-    fromUserId: userId,
-    createdAt: { $gte: since }
-  });
-  if (transfersCount >= maxTransfers) {
-    return { ok: false, reason: "Daily transfer count limit reached" };
-  }
+router.get("/me", loadUser, async (req, res) => {
+  try {
+    // coins is the spendable balance; coins locked in escrow already left it
+    const escrow = await escrowTotals(req.user._id);
 
-  const tx = await CoinTransaction.find(
-    {
-      type: "transfer",
-      fromUserId: userId,
-      createdAt: { $gte: since }
-    },
-    "amount"
-  );
-
-  const sum = tx.reduce((a, t) => a + (t.amount || 0), 0);
-  if (sum >= maxCoins) {
-    return { ok: false, reason: "Daily coin sending limit reached" };
+    res.json({
+      username: req.user.username,
+      coins: req.user.coins,
+      escrow,
+      level: req.user.level,
+      perks: perksFor(req.user),
+      role: req.user.role,
+      bans: req.user.bans || {},
+      // [{ scope, until, remainingSeconds, reason }]; until is null for bans without an end
+      activeBans: banSummary(req.user),
+      // for AP + feature shop UI
+      achievementPoints: req.user.achievementPoints || 0,
+      unlocks: entitlementMap(req.user),
+      statusMessage: req.user.statusMessage || ""
+    });
+  } catch (err) {
+    console.error("GET /coins/me error:", err);
+    res.status(500).json({ error: "Server error" });
   }
+});
 
-  return { ok: true };
-}
-
-// ---------- ME ----------
+// Remaining daily transfer allowance (config/economy.js).
+// Optional ?to=username adds the per-recipient remaining amount.
+router.get("/limits", loadUser, async (req, res) => {
+  try {
+    let recipient = null;
+    const toUsername = String(req.query.to || "").trim();
+    if (toUsername) {
+      recipient = await User.findOne({ username: toUsername }, "_id username");
+      if (!recipient) return res.status(404).json({ error: "Target user not found" });
+    }
 
-router.get("/me", loadUser, async (req, res) => {
-  res.json({
-    username: req.user.username,
-    coins: req.user.coins,
-    level: req.user.level,
-    role: req.user.role,
-    bans: req.user.bans || {},
-    // for AP + feature shop UI
-    achievementPoints: req.user.achievementPoints || 0,
-    unlocks: req.user.unlocks || {},
-    statusMessage: req.user.statusMessage || ""
-  });
+    const allowance = await getAllowance(req.user, recipient);
+    res.json({ ok: true, ...allowance });
+  } catch (err) {
+    console.error("GET /coins/limits error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
 // ---------- USER COIN ACTIONS ----------
 
-router.post("/transfer", coinLimiter, loadUser, async (req, res) => {
+router.post("/transfer", coinLimiter, loadUser, idempotent, async (req, res) => {
   try {
     const { toUsername, amount } = req.body || {};
     const amt = Number(amount);
@@ -73,46 +83,34 @@ router.post("/transfer", coinLimiter, loadUser, async (req, res) => {
       return res.status(400).json({ error: "Cannot send coins to yourself" });
     }
 
-    // daily limits for non-admin
-    if (req.user.role !== "admin") {
-      const lim = await dailyLimitsOK(req.user._id, 20, 2000);
-      if (!lim.ok) return res.status(429).json({ error: lim.reason });
+    if (target.bans?.isBannedFromCoins) {
+      return res.status(403).json({ error: "Target user cannot receive coins" });
     }
 
-    if (req.user.coins < amt) return res.status(400).json({ error: "Not enough coins" });
-
-    req.user.coins -= amt;
-    await req.user.save();
-
-    // If target is coin-banned, they don't receive coins (still logs transfer)
-    if (!target.bans?.isBannedFromCoins) {
-      target.coins += amt;
-    }
-    await target.save();
-
-    await CoinTransaction.create({
-      type: "transfer",
+    const result = await transfer({
       fromUserId: req.user._id,
       toUserId: target._id,
-      fromUsername: req.user.username,
-      toUsername: target.username,
       amount: amt,
       description: "User transfer"
     });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    checkAchievementsSoon(target._id);
+    checkAchievementsSoon(req.user._id);
 
-    res.json({ ok: true, fromCoins: req.user.coins, toCoins: target.coins });
+    res.json({ ok: true, fromCoins: result.fromUser.coins, toCoins: result.toUser.coins });
   } catch (err) {
     console.error("POST /coins/transfer error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-router.post("/level-up", coinLimiter, loadUser, async (req, res) => {
+router.post("/level-up", coinLimiter, loadUser, idempotent, async (req, res) => {
   try {
     const { targetLevel } = req.body || {};
     const lvl = Number(targetLevel);
 
-    if (!Number.isFinite(lvl) || !Number.isInteger(lvl) || lvl <= req.user.level || lvl > 10) {
+    if (!isValidLevel(lvl) || lvl <= req.user.level) {
       return res.status(400).json({ error: "Invalid target level" });
     }
 
@@ -120,94 +118,133 @@ router.post("/level-up", coinLimiter, loadUser, async (req, res) => {
       return res.status(403).json({ error: "You are banned from using coins" });
     }
 
-    const diff = lvl - req.user.level;
-    const cost = diff * 100;
+    const cost = levelUpCost(req.user.level, lvl);
 
     // admin can level-up free (optional convenience)
-    if (req.user.role !== "admin") {
-      if (req.user.coins < cost) return res.status(400).json({ error: "Not enough coins" });
-      req.user.coins -= cost;
-    }
+    const charged = req.user.role === "admin" ? 0 : cost;
 
+    // level is checked in the same update, so two concurrent level-ups can't both pay
     const oldLevel = req.user.level;
-    req.user.level = lvl;
-    await req.user.save();
-
-    await CoinTransaction.create({
+    const result = await debit({
+      userId: req.user._id,
+      amount: charged,
       type: "level_up",
-      fromUserId: req.user._id,
-      fromUsername: req.user.username,
-      amount: cost,
-      description: `Level up ${oldLevel} -> ${lvl}`
+      description: `Level up ${oldLevel} -> ${lvl}`,
+      filter: { level: oldLevel },
+      update: { $set: { level: lvl } },
+      revert: { $set: { level: oldLevel } }
     });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
 
-    if (lvl >= 2) await awardAchievement(req.user._id, "LEVEL2_UNLOCKED");
-    if (lvl >= 3) await awardAchievement(req.user._id, "LEVEL3_UNLOCKED");
+    await checkAchievements(req.user._id);
 
-    res.json({ ok: true, level: req.user.level, coins: req.user.coins });
+    res.json({ ok: true, level: result.fromUser.level, coins: result.fromUser.coins });
   } catch (err) {
     console.error("POST /coins/level-up error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// ---------- FEATURE SHOP (NEW) ----------
+// ---------- FEATURE SHOP ----------
 
-const FEATURE_PRICES = {
-  chat: 100,
-  groupChat: 200,
-  createGroup: 300,
-  imageUpload: 150
-};
+// Catalog (ShopItem collection) with owned/purchasable flags for the current user
+router.get("/shop", loadUser, async (req, res) => {
+  try {
+    const items = await listCatalog(req.user);
+    res.json({ items });
+  } catch (err) {
+    console.error("GET /coins/shop error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-// Buy a feature unlock with coins
-router.post("/buy-feature", coinLimiter, loadUser, async (req, res) => {
+async function buyFeature(req, res, currency) {
   try {
     const { featureKey } = req.body || {};
-    const key = String(featureKey || "");
+    const key = String(featureKey || "").trim();
+    if (!key) return res.status(400).json({ error: "Invalid feature" });
 
-    if (!FEATURE_PRICES[key]) {
-      return res.status(400).json({ error: "Invalid feature" });
+    if (currency === "coins" && req.user.bans?.isBannedFromCoins) {
+      return res.status(403).json({ error: "You are banned from using coins" });
     }
 
+    // stock, level, prerequisites, ownership; debit + entitlement in one update
+    const result = await purchaseItem(req.user, key, { currency });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    res.json({
+      ok: true,
+      coins: result.fromUser.coins,
+      achievementPoints: result.fromUser.achievementPoints || 0,
+      unlocks: entitlementMap(result.fromUser)
+    });
+  } catch (err) {
+    console.error(`POST /coins/buy-feature (${currency}) error:`, err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// Buy a feature unlock { featureKey, currency: "coins" (default) | "ap" }
+router.post("/buy-feature", coinLimiter, loadUser, idempotent, (req, res) =>
+  buyFeature(req, res, String(req.body?.currency || "coins"))
+);
+
+// Redeem achievement points for a feature unlock { featureKey }
+router.post("/redeem-ap", coinLimiter, loadUser, idempotent, (req, res) => buyFeature(req, res, "ap"));
+
+// Rent a feature for N days (cheaper, expires automatically)
+router.post("/rent-feature", coinLimiter, loadUser, idempotent, async (req, res) => {
+  try {
+    const { featureKey, days } = req.body || {};
+    const key = String(featureKey || "").trim();
+    if (!key) return res.status(400).json({ error: "Invalid feature" });
+
     if (req.user.bans?.isBannedFromCoins) {
       return res.status(403).json({ error: "You are banned from using coins" });
     }
 
-    // already unlocked?
-    const unlocks = req.user.unlocks || {};
-    if (unlocks[key]) {
-      return res.status(400).json({ error: "Feature already unlocked" });
-    }
+    const result = await purchaseItem(req.user, key, { rentalDays: Number(days) || 0 });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
 
-    const cost = FEATURE_PRICES[key];
-    if (req.user.coins < cost) {
-      return res.status(400).json({ error: "Not enough coins" });
-    }
+    res.json({
+      ok: true,
+      coins: result.fromUser.coins,
+      unlocks: entitlementMap(result.fromUser),
+      expiresAt: result.fromUser.entitlements.find((e) => e.key === key)?.expiresAt || null
+    });
+  } catch (err) {
+    console.error("POST /coins/rent-feature error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    // deduct & unlock
-    req.user.coins -= cost;
-    req.user.unlocks = {
-      ...unlocks,
-      [key]: true
-    };
-    await req.user.save();
+// Refund a purchase or rental (policy: config/economy.js SHOP_REFUNDS)
+router.post("/refund-feature", coinLimiter, loadUser, idempotent, async (req, res) => {
+  try {
+    const { featureKey } = req.body || {};
+    const key = String(featureKey || "").trim();
+    if (!key) return res.status(400).json({ error: "Invalid feature" });
 
-    await CoinTransaction.create({
-      type: "feature_purchase",
-      fromUserId: req.user._id,
-      fromUsername: req.user.username,
-      amount: cost,
-      description: `Feature purchase: ${key}`
+    const result = await refundItem(req.user, key);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    await audit({
+      req,
+      action: "SHOP_REFUND",
+      targetUsername: req.user.username,
+      details: { key, amount: result.tx.amount, currency: result.currency, txId: result.tx._id.toString() }
     });
 
     res.json({
       ok: true,
-      coins: req.user.coins,
-      unlocks: req.user.unlocks
+      refunded: result.tx.amount,
+      currency: result.currency,
+      coins: result.toUser.coins,
+      achievementPoints: result.toUser.achievementPoints || 0,
+      unlocks: entitlementMap(result.toUser)
     });
   } catch (err) {
-    console.error("POST /coins/buy-feature error:", err);
+    console.error("POST /coins/refund-feature error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
@@ -254,30 +291,39 @@ router.post("/adjust", adminLimiter, loadUser, requireAdmin, async (req, res) =>
     const target = await User.findOne({ username: String(username).trim() });
     if (!target) return res.status(404).json({ error: "User not found" });
 
-    target.coins = Math.max(0, target.coins + d);
-    await target.save();
-
-    await CoinTransaction.create({
-      type: "admin_adjust",
-      toUserId: target._id,
-      toUsername: target.username,
-      fromUserId: req.user._id,
-      fromUsername: req.user.username,
-      amount: Math.abs(d),
-      description: `Admin adjust (${d >= 0 ? "+" : ""}${d})${
-        reason ? " — " + String(reason).slice(0, 200) : ""
-      }`
-    });
+    const description = `Admin adjust (${d >= 0 ? "+" : ""}${d})${
+      reason ? " — " + String(reason).slice(0, 200) : ""
+    }`;
+
+    // negative adjustments are clamped to the current balance (never below 0)
+    const result =
+      d >= 0
+        ? await credit({
+            userId: target._id,
+            amount: d,
+            type: "admin_adjust",
+            description,
+            actor: req.user
+          })
+        : await debit({
+            userId: target._id,
+            amount: Math.min(-d, target.coins),
+            type: "admin_adjust",
+            description,
+            actor: req.user
+          });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    const updated = result.toUser || result.fromUser;
 
     await audit({
       actor: req.user,
       action: "ADMIN_ADJUST_COINS",
       targetUsername: target.username,
-      details: { delta: d, reason: reason || "" },
-      ip: req.ip
+      details: { delta: d, reason: reason || "" }
     });
 
-    res.json({ ok: true, username: target.username, coins: target.coins });
+    res.json({ ok: true, username: target.username, coins: updated.coins });
   } catch (err) {
     console.error("POST /coins/adjust error:", err);
     res.status(500).json({ error: "Server error" });
@@ -317,8 +363,7 @@ router.post("/set-role", adminLimiter, loadUser, requireAdmin, async (req, res)
       actor: req.user,
       action: "ADMIN_SET_ROLE",
       targetUsername: target.username,
-      details: { oldRole, newRole: r },
-      ip: req.ip
+      details: { oldRole, newRole: r }
     });
 
     res.json({ ok: true, username: target.username, role: target.role });
@@ -336,7 +381,7 @@ router.post("/set-level", adminLimiter, loadUser, requireAdmin, async (req, res)
     const lvl = Number(level);
 
     if (!cleanName) return res.status(400).json({ error: "Missing username" });
-    if (!Number.isFinite(lvl) || !Number.isInteger(lvl) || lvl < 1 || lvl > 10) {
+    if (!isValidLevel(lvl)) {
       return res.status(400).json({ error: "Invalid level" });
     }
 
@@ -361,8 +406,7 @@ router.post("/set-level", adminLimiter, loadUser, requireAdmin, async (req, res)
       actor: req.user,
       action: "ADMIN_SET_LEVEL",
       targetUsername: target.username,
-      details: { oldLevel, newLevel: lvl },
-      ip: req.ip
+      details: { oldLevel, newLevel: lvl }
     });
 
     res.json({ ok: true, username: target.username, level: target.level });
@@ -372,10 +416,10 @@ router.post("/set-level", adminLimiter, loadUser, requireAdmin, async (req, res)
   }
 });
 
-// Admin set bans (chat/coins)
+// Admin set bans (chat/coins); durationHours makes new bans temporary
 router.post("/set-bans", adminLimiter, loadUser, requireAdmin, async (req, res) => {
   try {
-    const { username, chatBan, coinsBan, reason } = req.body || {};
+    const { username, chatBan, coinsBan, reason, durationHours } = req.body || {};
     const cleanName = String(username || "").trim();
     if (!cleanName) return res.status(400).json({ error: "Missing username" });
 
@@ -388,13 +432,15 @@ router.post("/set-bans", adminLimiter, loadUser, requireAdmin, async (req, res)
       isBannedFromCoins: !!target.bans.isBannedFromCoins
     };
 
-    if (typeof chatBan === "boolean") target.bans.isBannedFromChat = chatBan;
-    if (typeof coinsBan === "boolean") target.bans.isBannedFromCoins = coinsBan;
-
-    if (typeof reason === "string") target.bans.reason = reason.slice(0, 200);
-    target.bans.updatedAt = new Date();
-
-    await target.save();
+    const result = await setBanFlags({
+      req,
+      user: target,
+      flags: { chat: chatBan, coins: coinsBan },
+      hours: durationHours,
+      reason: typeof reason === "string" ? reason : ""
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    target.bans = result.bans;
 
     await CoinTransaction.create({
       type: "admin_set_bans",
@@ -417,8 +463,7 @@ router.post("/set-bans", adminLimiter, loadUser, requireAdmin, async (req, res)
           isBannedFromCoins: !!target.bans.isBannedFromCoins
         },
         reason: target.bans.reason || ""
-      },
-      ip: req.ip
+      }
     });
 
     res.json({ ok: true, username: target.username, bans: target.bans });
@@ -0,0 +1,209 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Escrow = require("../models/Escrow");
+const { loadUser, requireModOrAdmin } = require("./_helpers");
+const { coinLimiter, adminLimiter } = require("../services/security");
+const { idempotent } = require("../services/idempotency");
+const { audit } = require("../services/audit");
+const { createEscrow, settleEscrow, openDispute } = require("../services/escrow");
+
+// Mounted at /api/coins/escrow
+
+function isParty(escrow, user) {
+  const id = user._id.toString();
+  return escrow.senderUserId.toString() === id || escrow.recipientUserId.toString() === id;
+}
+
+async function loadEscrow(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Escrow not found" });
+    }
+    const escrow = await Escrow.findById(req.params.id);
+    if (!escrow) return res.status(404).json({ error: "Escrow not found" });
+    req.escrow = escrow;
+    next();
+  } catch (err) {
+    console.error("loadEscrow error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+// Lock coins for a recipient
+router.post("/", coinLimiter, loadUser, idempotent, async (req, res) => {
+  try {
+    if (req.user.bans?.isBannedFromCoins) {
+      return res.status(403).json({ error: "You are banned from using coins" });
+    }
+
+    const { toUsername, amount, note, expiresInHours } = req.body || {};
+    if (!toUsername) return res.status(400).json({ error: "Missing toUsername" });
+
+    const recipient = await User.findOne({ username: String(toUsername).trim() });
+    if (!recipient || recipient.isDeleted) {
+      return res.status(404).json({ error: "Target user not found" });
+    }
+    if (recipient.bans?.isBannedFromCoins) {
+      return res.status(403).json({ error: "Target user cannot receive coins" });
+    }
+
+    const result = await createEscrow({
+      sender: req.user,
+      recipient,
+      amount,
+      note,
+      expiresInHours
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    res.json({ ok: true, escrow: result.escrow, coins: result.coins });
+  } catch (err) {
+    console.error("POST /coins/escrow error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Escrows I sent or receive (?status=held to filter)
+router.get("/mine", loadUser, async (req, res) => {
+  try {
+    const filter = {
+      $or: [{ senderUserId: req.user._id }, { recipientUserId: req.user._id }]
+    };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const escrows = await Escrow.find(filter).sort({ createdAt: -1 }).limit(100);
+    res.json({ escrows });
+  } catch (err) {
+    console.error("GET /coins/escrow/mine error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Mod/admin: open disputes
+router.get("/disputes", adminLimiter, loadUser, requireModOrAdmin, async (req, res) => {
+  try {
+    const escrows = await Escrow.find({ status: "disputed" })
+      .sort({ "dispute.openedAt": 1 })
+      .limit(200);
+    res.json({ escrows });
+  } catch (err) {
+    console.error("GET /coins/escrow/disputes error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/:id", loadUser, loadEscrow, async (req, res) => {
+  const isStaff = req.user.role === "admin" || req.user.role === "mod";
+  if (!isParty(req.escrow, req.user) && !isStaff) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+  res.json({ escrow: req.escrow });
+});
+
+// Sender releases the coins to the recipient
+router.post("/:id/release", coinLimiter, loadUser, loadEscrow, async (req, res) => {
+  try {
+    if (req.escrow.senderUserId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Only the sender can release" });
+    }
+
+    const result = await settleEscrow(req.escrow._id, "release", { actor: req.user });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    res.json({ ok: true, escrow: result.escrow });
+  } catch (err) {
+    console.error("POST /coins/escrow/:id/release error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Recipient declines: coins go back to the sender
+router.post("/:id/decline", coinLimiter, loadUser, loadEscrow, async (req, res) => {
+  try {
+    if (req.escrow.recipientUserId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Only the recipient can decline" });
+    }
+
+    const result = await settleEscrow(req.escrow._id, "refund", { actor: req.user });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    res.json({ ok: true, escrow: result.escrow });
+  } catch (err) {
+    console.error("POST /coins/escrow/:id/decline error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Either party: freeze the escrow until a mod/admin decides (stops expiry refund)
+router.post("/:id/dispute", coinLimiter, loadUser, loadEscrow, async (req, res) => {
+  try {
+    if (!isParty(req.escrow, req.user)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: "Reason required" });
+    }
+
+    const result = await openDispute(req.escrow._id, req.user, reason);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    await audit({
+      req,
+      action: "ESCROW_DISPUTE_OPENED",
+      targetUsername:
+        req.escrow.senderUserId.toString() === req.user._id.toString()
+          ? req.escrow.recipientUsername
+          : req.escrow.senderUsername,
+      details: { escrowId: req.escrow._id.toString(), amount: req.escrow.amount, reason: String(reason).slice(0, 500) }
+    });
+
+    res.json({ ok: true, escrow: result.escrow });
+  } catch (err) {
+    console.error("POST /coins/escrow/:id/dispute error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Mod/admin: decide a dispute { outcome: "release" | "refund", note }
+router.post("/:id/resolve", adminLimiter, loadUser, requireModOrAdmin, loadEscrow, async (req, res) => {
+  try {
+    const { outcome, note } = req.body || {};
+    if (!["release", "refund"].includes(outcome)) {
+      return res.status(400).json({ error: "Invalid outcome" });
+    }
+    if (isParty(req.escrow, req.user)) {
+      return res.status(403).json({ error: "You cannot resolve your own escrow" });
+    }
+
+    const result = await settleEscrow(req.escrow._id, outcome, {
+      fromStatuses: ["disputed"],
+      actor: req.user,
+      note,
+      resolution: true
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    await audit({
+      req,
+      action: "ESCROW_DISPUTE_RESOLVED",
+      targetUsername: outcome === "release" ? req.escrow.recipientUsername : req.escrow.senderUsername,
+      details: {
+        escrowId: req.escrow._id.toString(),
+        amount: req.escrow.amount,
+        outcome,
+        note: String(note || "").slice(0, 300)
+      }
+    });
+
+    res.json({ ok: true, escrow: result.escrow });
+  } catch (err) {
+    console.error("POST /coins/escrow/:id/resolve error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
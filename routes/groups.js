@@ -1,5 +1,6 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Group = require("../models/Group");
 const GroupMessage = require("../models/GroupMessage");
 const User = require("../models/User");
@@ -8,55 +9,59 @@ const { chatLimiter } = require("../services/security");
 
 // NEW: AP/stat progress helper
 const { recordFeatureAction } = require("../services/featureProgress");
+const { requireEntitlement } = require("../services/entitlements");
+const { requireLevelPerk, hasLevelPerk, levelPerkError } = require("../services/levels");
+const { groupAccess, groupRoom } = require("../services/chatAccess");
+const { canContact } = require("../services/privacy");
+const { requireNotBanned } = require("../services/bans");
+const { publishMessage, publishUpdate } = require("../services/realtime");
+const { readConversation, readersOf } = require("../services/readCursors");
+const { parsePage, paginate } = require("../services/pagination");
+const { REACTIONS } = require("../config/chat");
+const {
+  withReplyPreviews,
+  replyParent,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  threadOf
+} = require("../services/messages");
 
 // ---------- unlock middlewares ----------
 
-function requireCreateGroupUnlocked(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: "Not logged in" });
-  if (!req.user.unlocks?.createGroup) {
-    return res.status(403).json({
-      error: "Create Group feature is locked. Unlock it in the Feature Shop."
-    });
-  }
-  next();
-}
+const requireCreateGroupUnlocked = requireEntitlement(
+  "createGroup",
+  "Create Group feature is locked. Unlock it in the Feature Shop."
+);
 
-function requireGroupChatUnlocked(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: "Not logged in" });
-  if (!req.user.unlocks?.groupChat) {
-    return res.status(403).json({
-      error: "Group Chat feature is locked. Unlock it in the Feature Shop."
-    });
-  }
-  next();
-}
+const requireGroupChatUnlocked = requireEntitlement(
+  "groupChat",
+  "Group Chat feature is locked. Unlock it in the Feature Shop."
+);
+
+const requireImageUpload = requireEntitlement(
+  "imageUpload",
+  "Image Upload feature is locked. Unlock it in the Feature Shop."
+);
 
 function requireImageUploadUnlocked(req, res, next) {
   const { imageUrl } = req.body || {};
   const hasImage = !!(imageUrl && String(imageUrl).trim());
   if (!hasImage) return next();
 
-  if (!req.user) return res.status(401).json({ error: "Not logged in" });
-  if (!req.user.unlocks?.imageUpload) {
-    return res.status(403).json({
-      error: "Image Upload feature is locked. Unlock it in the Feature Shop."
-    });
-  }
-  next();
+  return requireImageUpload(req, res, next);
 }
 
-// Create group: requires level 3 AND mod/admin AND createGroup unlock
+// Create group: requires the createGroup level perk AND mod/admin AND createGroup unlock
 router.post(
   "/create",
   loadUser,
+  requireNotBanned("groups"),
   requireModOrAdmin,
+  requireLevelPerk("createGroup"),
   requireCreateGroupUnlocked,
   async (req, res) => {
     try {
-      if (req.user.level < 3) {
-        return res.status(403).json({ error: "Level 3 required to create groups" });
-      }
-
       const { name, description, isPublic } = req.body || {};
       const n = String(name || "").trim();
       if (!n || n.length < 3 || n.length > 40) {
@@ -149,6 +154,7 @@ router.get("/:id", loadUser, async (req, res) => {
             ? (group.invites || [])
             : undefined
       },
+      reactions: REACTIONS,
       viewer: {
         isMember,
         isOwner: group.ownerUsername === req.user.username,
@@ -162,7 +168,7 @@ router.get("/:id", loadUser, async (req, res) => {
 });
 
 // Join group: anyone can join if public; private requires invite
-router.post("/:id/join", loadUser, async (req, res) => {
+router.post("/:id/join", loadUser, requireNotBanned("groups"), async (req, res) => {
   try {
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ error: "Group not found" });
@@ -221,7 +227,7 @@ router.post("/:id/leave", loadUser, async (req, res) => {
 });
 
 // Invite (only owner or admin)
-router.post("/:id/invite", loadUser, async (req, res) => {
+router.post("/:id/invite", loadUser, requireNotBanned("groups"), async (req, res) => {
   try {
     const group = await Group.findById(req.params.id);
     if (!group) return res.status(404).json({ error: "Group not found" });
@@ -243,6 +249,10 @@ router.post("/:id/invite", loadUser, async (req, res) => {
       return res.status(400).json({ error: "This group is public; no invite needed" });
     }
 
+    // the invitee's block list and DM privacy mode apply to invites too
+    const contact = await canContact(req.user, target, "invite");
+    if (!contact.ok) return res.status(contact.status).json({ error: contact.error });
+
     if ((group.invites || []).includes(u)) return res.json({ ok: true });
 
     group.invites.push(u);
@@ -256,36 +266,147 @@ router.post("/:id/invite", loadUser, async (req, res) => {
 });
 
 // History: only members (or admin) + groupChat unlock
-router.get("/:id/history", loadUser, requireGroupChatUnlocked, async (req, res) => {
+// Oldest-first; ?before=<nextCursor> for older pages, ?after=id for newer (polling fallback)
+router.get("/:id/history", loadUser, async (req, res) => {
   try {
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: "Group not found" });
-
-    const isMember = (group.members || []).some(
-      m => m.userId.toString() === req.user._id.toString()
+    const access = await groupAccess(req.user, req.params.id);
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+    const page = parsePage(req.query, { defaultLimit: 50, maxLimit: 200 });
+    if (!page.ok) return res.status(page.status).json({ error: page.error });
+
+    const room = groupRoom(access.group._id);
+    const { items: messages, nextCursor } = await paginate(
+      GroupMessage,
+      { groupId: access.group._id },
+      page,
+      { ascending: true }
     );
-    const isAdmin = req.user.role === "admin";
-    if (!isMember && !isAdmin) {
-      return res.status(403).json({ error: "Join the group first" });
+
+    // opening the group (or polling for new messages) reads it
+    if (messages.length && !page.before) {
+      await readConversation(
+        req.user,
+        room,
+        GroupMessage,
+        { groupId: access.group._id },
+        messages[messages.length - 1]._id
+      );
     }
 
-    const messages = await GroupMessage.find({ groupId: group._id })
-      .sort({ createdAt: 1 })
-      .limit(200);
+    // other members' read positions, for "seen by"
+    const names = new Map((access.group.members || []).map((m) => [m.userId.toString(), m.username]));
+    const readers = (await readersOf(room, req.user._id))
+      .filter((r) => names.has(r.userId.toString()))
+      .map((r) => ({ username: names.get(r.userId.toString()), lastReadId: r.lastReadId }));
 
-    res.json({ messages });
+    res.json({ messages: await withReplyPreviews(messages), nextCursor, readers });
   } catch (err) {
     console.error("GET /groups/:id/history error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// Edit own message { text } (within the edit window)
+router.post("/:id/messages/:messageId/edit", chatLimiter, loadUser, requireNotBanned("groups"), async (req, res) => {
+  try {
+    const access = await groupAccess(req.user, req.params.id);
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+    const result = await editMessage(req.user, "group", req.params.messageId, (req.body || {}).text, {
+      groupId: access.group._id
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /groups/:id/messages/:messageId/edit error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Delete own message, or remove one as group owner / site mod / admin { reason }
+router.post("/:id/messages/:messageId/delete", chatLimiter, loadUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    const result = await deleteMessage(req, "group", req.params.messageId, (req.body || {}).reason, {
+      groupId: req.params.id
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /groups/:id/messages/:messageId/delete error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Toggle an emoji reaction { emoji }
+router.post("/:id/messages/:messageId/react", chatLimiter, loadUser, requireNotBanned("groups"), async (req, res) => {
+  try {
+    const access = await groupAccess(req.user, req.params.id);
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+    const result = await toggleReaction(
+      req.user,
+      access.group._id,
+      req.params.messageId,
+      String((req.body || {}).emoji || "")
+    );
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /groups/:id/messages/:messageId/react error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Thread: a message and its replies (oldest first, ?before=<nextCursor> for older replies)
+router.get("/:id/messages/:messageId/thread", loadUser, async (req, res) => {
+  try {
+    const access = await groupAccess(req.user, req.params.id);
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+    const page = parsePage(req.query, { defaultLimit: 50, maxLimit: 200 });
+    if (!page.ok) return res.status(page.status).json({ error: page.error });
+
+    const result = await threadOf(access.group._id, req.params.messageId, page);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("GET /groups/:id/messages/:messageId/thread error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Mark read { messageId? } (default: newest message)
+router.post("/:id/read", loadUser, async (req, res) => {
+  try {
+    const access = await groupAccess(req.user, req.params.id);
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+    const result = await readConversation(
+      req.user,
+      groupRoom(access.group._id),
+      GroupMessage,
+      { groupId: access.group._id },
+      (req.body || {}).messageId
+    );
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /groups/:id/read error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // Send message: only members; images require level2; user must not be chat-banned
 // + groupChat unlock + (if image) imageUpload unlock
 router.post(
   "/:id/send",
   chatLimiter,
   loadUser,
+  requireNotBanned("groups"),
   requireGroupChatUnlocked,
   requireImageUploadUnlocked,
   async (req, res) => {
@@ -305,10 +426,18 @@ router.post(
         return res.status(403).json({ error: "Join the group first" });
       }
 
-      const { text, imageUrl } = req.body || {};
+      const { text, imageUrl, replyToId } = req.body || {};
       const hasImage = !!(imageUrl && String(imageUrl).trim());
-      if (hasImage && req.user.level < 2) {
-        return res.status(403).json({ error: "Level 2 required to send images" });
+      if (hasImage && !hasLevelPerk(req.user, "chatImages")) {
+        return res.status(403).json({ error: levelPerkError("chatImages") });
+      }
+
+      // optional reply to another message of this group
+      let parent = null;
+      if (replyToId) {
+        const found = await replyParent(group._id, replyToId);
+        if (!found.ok) return res.status(found.status).json({ error: found.error });
+        parent = found.parent;
       }
 
       const msg = await GroupMessage.create({
@@ -316,8 +445,23 @@ router.post(
         fromUserId: req.user._id,
         fromUsername: req.user.username,
         text: String(text || "").slice(0, 2000),
-        imageUrl: hasImage ? String(imageUrl).slice(0, 300) : ""
+        imageUrl: hasImage ? String(imageUrl).slice(0, 300) : "",
+        replyToId: parent ? parent._id : null
       });
+      const [message] = await withReplyPreviews([msg]);
+      publishMessage(groupRoom(group._id), message);
+      if (parent) {
+        // refresh the parent's reply count for open streams
+        const counted = await GroupMessage.findByIdAndUpdate(
+          parent._id,
+          { $inc: { replyCount: 1 } },
+          { new: true }
+        ).lean();
+        if (counted) {
+          const [updated] = await withReplyPreviews([counted]);
+          publishUpdate(groupRoom(group._id), updated);
+        }
+      }
 
       group.lastActivityAt = new Date();
       await group.save();
@@ -328,7 +472,7 @@ router.post(
         await recordFeatureAction(req.user._id, "imageUpload", "imagesSent", 1);
       }
 
-      res.json({ ok: true, message: msg });
+      res.json({ ok: true, message });
     } catch (err) {
       console.error("POST /groups/:id/send error:", err);
       res.status(500).json({ error: "Server error" });
@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const { loadUser } = require("./_helpers");
+const { listBoards, getLeaderboard } = require("../services/leaderboards");
+const { LEADERBOARDS } = require("../config/leaderboards");
+
+// Available boards and windows
+router.get("/", loadUser, async (_req, res) => {
+  res.json({ boards: listBoards(), windows: Object.keys(LEADERBOARDS.windows) });
+});
+
+// GET /api/leaderboards/coins?window=week&limit=20 -> top N + the caller's own rank
+router.get("/:board", loadUser, async (req, res) => {
+  try {
+    const result = await getLeaderboard(req.params.board, {
+      window: String(req.query.window || "all"),
+      limit: req.query.limit,
+      user: req.user
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("GET /leaderboards/:board error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
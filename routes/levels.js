@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const { listLevels, getLevel, maxLevel, publicLevel } = require("../services/levels");
+
+// Public: level registry (cost, title, perks, content)
+router.get("/", async (_req, res) => {
+  res.json({ maxLevel: maxLevel(), levels: listLevels().map(publicLevel) });
+});
+
+router.get("/:num", async (req, res) => {
+  const level = getLevel(req.params.num);
+  if (!level) return res.status(404).json({ error: "Level not found" });
+  res.json({ level: publicLevel(level), maxLevel: maxLevel() });
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require("express");
+const router = express.Router();
+const { loadUser, requireModOrAdmin } = require("./_helpers");
+const { adminLimiter } = require("../services/security");
+const { parsePage } = require("../services/pagination");
+const {
+  REPORT_ACTIONS,
+  listReports,
+  getReport,
+  claimReport,
+  closeReport
+} = require("../services/reports");
+const { MODERATION } = require("../config/moderation");
+
+// Moderator tools (mods and admins). Every change is audited by services/reports.js.
+
+// GET /api/mod/reports?status=active|open|claimed|resolved|dismissed&kind=&before=&limit=
+router.get("/reports", adminLimiter, loadUser, requireModOrAdmin, async (req, res) => {
+  try {
+    const page = parsePage(req.query, { defaultLimit: 50, maxLimit: 200 });
+    if (!page.ok) return res.status(page.status).json({ error: page.error });
+
+    const result = await listReports(req.query, page);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({
+      reports: result.reports,
+      nextCursor: result.nextCursor,
+      actions: REPORT_ACTIONS,
+      chatBan: MODERATION.chatBan
+    });
+  } catch (err) {
+    console.error("GET /mod/reports error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/reports/:id", adminLimiter, loadUser, requireModOrAdmin, async (req, res) => {
+  try {
+    const report = await getReport(req.params.id);
+    if (!report) return res.status(404).json({ error: "Report not found" });
+    res.json({ report });
+  } catch (err) {
+    console.error("GET /mod/reports/:id error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/reports/:id/claim", adminLimiter, loadUser, requireModOrAdmin, async (req, res) => {
+  try {
+    const result = await claimReport(req, req.params.id);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /mod/reports/:id/claim error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /reports/:id/resolve { actions: [remove_content|warn|chat_ban], note, chatBanHours }
+router.post("/reports/:id/resolve", adminLimiter, loadUser, requireModOrAdmin, async (req, res) => {
+  try {
+    const result = await closeReport(req, req.params.id, "resolved", req.body || {});
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /mod/reports/:id/resolve error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /reports/:id/dismiss { note }
+router.post("/reports/:id/dismiss", adminLimiter, loadUser, requireModOrAdmin, async (req, res) => {
+  try {
+    const result = await closeReport(req, req.params.id, "dismissed", req.body || {});
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /mod/reports/:id/dismiss error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
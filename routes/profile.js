@@ -1,21 +1,17 @@
 const express = require("express");
 const router = express.Router();
 const { loadUser } = require("./_helpers");
+const { requireLevelPerk } = require("../services/levels");
+const { privacySettings, setDmMode, setBlocked } = require("../services/privacy");
 
-router.post("/status", loadUser, async (req, res) => {
-  if (req.user.level < 3) {
-    return res.status(403).json({ error: "Level 3 required" });
-  }
+router.post("/status", loadUser, requireLevelPerk("customizeProfile"), async (req, res) => {
   const { statusMessage } = req.body || {};
   req.user.statusMessage = String(statusMessage || "").slice(0, 120);
   await req.user.save();
   res.json({ ok: true, statusMessage: req.user.statusMessage });
 });
 
-router.post("/theme", loadUser, async (req, res) => {
-  if (req.user.level < 3) {
-    return res.status(403).json({ error: "Level 3 required" });
-  }
+router.post("/theme", loadUser, requireLevelPerk("customizeProfile"), async (req, res) => {
   const { theme } = req.body || {};
   const allowed = ["classic", "green", "amber"];
   if (!allowed.includes(theme)) return res.status(400).json({ error: "Invalid theme" });
@@ -24,4 +20,50 @@ router.post("/theme", loadUser, async (req, res) => {
   res.json({ ok: true, theme: req.user.theme });
 });
 
+// DM privacy mode + block list
+router.get("/privacy", loadUser, async (req, res) => {
+  try {
+    res.json(await privacySettings(req.user));
+  } catch (err) {
+    console.error("GET /profile/privacy error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /privacy { dmMode: everyone|contacts|groupmates|nobody }
+router.post("/privacy", loadUser, async (req, res) => {
+  try {
+    const result = await setDmMode(req.user, String((req.body || {}).dmMode || ""));
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /profile/privacy error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /privacy/block { username }
+router.post("/privacy/block", loadUser, async (req, res) => {
+  try {
+    const result = await setBlocked(req.user, (req.body || {}).username, true);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /profile/privacy/block error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /privacy/unblock { username }
+router.post("/privacy/unblock", loadUser, async (req, res) => {
+  try {
+    const result = await setBlocked(req.user, (req.body || {}).username, false);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /profile/privacy/unblock error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 module.exports = router;
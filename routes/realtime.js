@@ -0,0 +1,72 @@
+const express = require("express");
+const router = express.Router();
+const { loadUser } = require("./_helpers");
+const { realtimeLimiter } = require("../services/security");
+const { dmAccess, groupAccess, dmRoom, groupRoom } = require("../services/chatAccess");
+const { subscribe, publishTyping } = require("../services/realtime");
+
+// ?with=username (DM) or ?group=id -> { ok, room, recheck } or { ok: false, status, error }
+async function resolveRoom(user, { with: withUsername, group }) {
+  if (group) {
+    const access = await groupAccess(user, String(group));
+    if (!access.ok) return access;
+    const groupId = access.group._id;
+    return {
+      ok: true,
+      room: groupRoom(groupId),
+      recheck: (fresh) => groupAccess(fresh, groupId.toString())
+    };
+  }
+
+  const access = await dmAccess(user, withUsername);
+  if (!access.ok) return access;
+  const otherName = access.other.username;
+  return {
+    ok: true,
+    room: dmRoom(user._id, access.other._id),
+    recheck: (fresh) => dmAccess(fresh, otherName)
+  };
+}
+
+// EventSource stream for one conversation (same access rules as its /history route;
+// chat-banned users get no live delivery)
+router.get("/stream", realtimeLimiter, loadUser, async (req, res) => {
+  try {
+    if (req.user.bans?.isBannedFromChat) {
+      return res.status(403).json({ error: "You are banned from chat" });
+    }
+
+    const target = await resolveRoom(req.user, req.query);
+    if (!target.ok) return res.status(target.status).json({ error: target.error });
+
+    const opened = subscribe(req, res, {
+      user: req.user,
+      room: target.room,
+      recheck: target.recheck
+    });
+    if (!opened) return res.status(429).json({ error: "Too many open chat windows" });
+  } catch (err) {
+    console.error("GET /realtime/stream error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Typing indicator { with } or { group }
+router.post("/typing", realtimeLimiter, loadUser, async (req, res) => {
+  try {
+    if (req.user.bans?.isBannedFromChat) {
+      return res.status(403).json({ error: "You are banned from chat" });
+    }
+
+    const target = await resolveRoom(req.user, req.body || {});
+    if (!target.ok) return res.status(target.status).json({ error: target.error });
+
+    publishTyping(target.room, req.user);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("POST /realtime/typing error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const { loadUser } = require("./_helpers");
+const { chatLimiter } = require("../services/security");
+const { createReport, myReports } = require("../services/reports");
+
+// POST /api/reports { kind: dm|group_message|group|profile, targetId | username, reason, details }
+router.post("/", chatLimiter, loadUser, async (req, res) => {
+  try {
+    const result = await createReport(req, req.body);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, reportId: result.report._id, duplicate: !!result.duplicate });
+  } catch (err) {
+    console.error("POST /reports error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// My reports and where they are in the queue
+router.get("/mine", loadUser, async (req, res) => {
+  try {
+    res.json({ reports: await myReports(req.user) });
+  } catch (err) {
+    console.error("GET /reports/mine error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
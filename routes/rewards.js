@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const { loadUser } = require("./_helpers");
+const { coinLimiter } = require("../services/security");
+const { idempotent } = require("../services/idempotency");
+const { dailyStatus, claimDaily } = require("../services/dailyRewards");
+
+// Daily check-in state (?tz=Europe/Berlin to preview in another timezone)
+router.get("/daily", loadUser, async (req, res) => {
+  try {
+    res.json(dailyStatus(req.user, { tz: req.query.tz ? String(req.query.tz) : undefined }));
+  } catch (err) {
+    console.error("GET /rewards/daily error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Claim today's reward { timezone? } (timezone is saved on the account)
+router.post("/daily/claim", coinLimiter, loadUser, idempotent, async (req, res) => {
+  try {
+    const { timezone } = req.body || {};
+    const result = await claimDaily(req.user, {
+      timezone: timezone === undefined || timezone === null ? undefined : String(timezone)
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /rewards/daily/claim error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const { loadUser } = require("./_helpers");
+const { searchLimiter } = require("../services/security");
+const { searchMessages } = require("../services/messageSearch");
+
+// GET /api/search/messages?q=...&in=all|dm|group&user=&group=&since=&until=&hasImage=&before=&limit=
+// Only the caller's own DMs and groups they are a member of; snippets are escaped HTML with <mark>.
+router.get("/messages", searchLimiter, loadUser, async (req, res) => {
+  try {
+    const result = await searchMessages(req.user, req.query);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ results: result.results, nextCursor: result.nextCursor });
+  } catch (err) {
+    console.error("GET /search/messages error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,37 @@
 const express = require("express");
 const router = express.Router();
 const CoinTransaction = require("../models/CoinTransaction");
+const ApTransaction = require("../models/ApTransaction");
 const { loadUser, requireAdmin } = require("./_helpers");
 const { adminLimiter } = require("../services/security");
+const { parsePage, paginate } = require("../services/pagination");
+
+// Newest first, ?before=<nextCursor>&limit=N for older entries
+async function listPage(req, res, Model, filter, limits) {
+  const page = parsePage(req.query, limits);
+  if (!page.ok) return res.status(page.status).json({ error: page.error });
+
+  const { items, nextCursor } = await paginate(Model, filter, page);
+  res.json({ transactions: items, nextCursor });
+}
 
 router.get("/me", loadUser, async (req, res) => {
-  const tx = await CoinTransaction.find({
+  await listPage(req, res, CoinTransaction, {
     $or: [
       { fromUserId: req.user._id },
       { toUserId: req.user._id }
     ]
-  }).sort({ createdAt: -1 }).limit(50);
+  });
+});
 
-  res.json({ transactions: tx });
+// Achievement point ledger (rewards earned, AP spent in the shop)
+router.get("/me/ap", loadUser, async (req, res) => {
+  await listPage(req, res, ApTransaction, {
+    $or: [
+      { fromUserId: req.user._id },
+      { toUserId: req.user._id }
+    ]
+  });
 });
 
 router.get("/admin/all", adminLimiter, loadUser, requireAdmin, async (req, res) => {
@@ -21,8 +40,7 @@ router.get("/admin/all", adminLimiter, loadUser, requireAdmin, async (req, res)
   if (username) {
     filter.$or = [{ fromUsername: username }, { toUsername: username }];
   }
-  const tx = await CoinTransaction.find(filter).sort({ createdAt: -1 }).limit(200);
-  res.json({ transactions: tx });
+  await listPage(req, res, CoinTransaction, filter, { defaultLimit: 200, maxLimit: 500 });
 });
 
 module.exports = router;
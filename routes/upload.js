@@ -4,6 +4,8 @@ const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
 const { loadUser } = require("./_helpers");
+const { requireLevelPerk } = require("../services/levels");
+const { requireNotBanned } = require("../services/bans");
 
 const uploadDir = path.join(__dirname, "..", "uploads");
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
@@ -31,17 +33,14 @@ const upload = multer({
   }
 });
 
-// For chat images: requires level >= 2 (feature unlock)
-router.post("/chat-image", loadUser, upload.single("file"), async (req, res) => {
-  if (req.user.level < 2) {
-    return res.status(403).json({ error: "Level 2 required to upload chat images" });
-  }
+// For chat images: requires the chatImages level perk (checked before the file is stored)
+router.post("/chat-image", loadUser, requireNotBanned("uploads"), requireLevelPerk("chatImages"), upload.single("file"), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: "No file uploaded" });
   res.json({ ok: true, url: "/uploads/" + req.file.filename });
 });
 
 // For bug screenshots: allowed for any logged-in user
-router.post("/bug-screenshot", loadUser, upload.single("file"), async (req, res) => {
+router.post("/bug-screenshot", loadUser, requireNotBanned("uploads"), upload.single("file"), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: "No file uploaded" });
   res.json({ ok: true, url: "/uploads/" + req.file.filename });
 });
@@ -9,27 +9,45 @@ const helmet = require("helmet");
 const mongoSanitize = require("express-mongo-sanitize");
 
 const User = require("./models/User");
-const IpBan = require("./models/IpBan"); // IP ban model
 
 const authRoutes = require("./routes/auth");
 const profileRoutes = require("./routes/profile");
 const coinsRoutes = require("./routes/coins");
+const escrowRoutes = require("./routes/escrow");
 const achievementsRoutes = require("./routes/achievements");
+const levelsRoutes = require("./routes/levels");
+const challengesRoutes = require("./routes/challenges");
+const rewardsRoutes = require("./routes/rewards");
 const chatRoutes = require("./routes/chat");
+const realtimeRoutes = require("./routes/realtime");
 const groupsRoutes = require("./routes/groups");
 const peopleRoutes = require("./routes/people");
+const leaderboardsRoutes = require("./routes/leaderboards");
+const searchRoutes = require("./routes/search");
+const reportsRoutes = require("./routes/reports");
+const modRoutes = require("./routes/mod");
 const uploadRoutes = require("./routes/upload");
 const bugsRoutes = require("./routes/bugs");
 const announcementsRoutes = require("./routes/announcements");
 const transactionsRoutes = require("./routes/transactions");
 const adminRoutes = require("./routes/admin");
 
-const { getClientIp } = require("./routes/_helpers"); // shared helper
+const { getClientIp, isTrustedProxy } = require("./services/clientIp");
+const { getLevel } = require("./services/levels");
+const { credit, openApLedger, openCoinLedger } = require("./services/ledger");
+const { startEscrowSweeper } = require("./services/escrow");
+const { ensureDefaultShopItems, startRentalSweeper } = require("./services/shop");
+const { startBanSweeper, migrateLegacyBans } = require("./services/bans");
+const { checkIpBan } = require("./services/ipBans");
+const { ensureDefaultChallenges } = require("./services/challenges");
+const { ensureDefaultAchievements } = require("./services/achievements");
+const { migrateAwardedAchievements } = require("./services/progression");
 
 const app = express();
 
-// IMPORTANT: makes req.ip work correctly behind proxies (Render/Vercel/Nginx/etc.)
-app.set("trust proxy", 1);
+// IMPORTANT: makes req.ip / req.secure work behind proxies; only the proxies listed
+// in TRUSTED_PROXIES (config/clientIp.js) are believed
+app.set("trust proxy", isTrustedProxy);
 
 const PORT = Number(process.env.PORT || 3000);
 const MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
@@ -37,32 +55,6 @@ const MONGODB_DB = process.env.MONGODB_DB || "zeropoint";
 const SESSION_SECRET = process.env.SESSION_SECRET || "dev-secret-change-me";
 const IS_PROD = process.env.NODE_ENV === "production";
 
-/**
- * Global IP-ban check.
- * Blocks any request from an IP that exists in IpBan and is not expired.
- */
-async function checkIpBan(req, res, next) {
-  try {
-    const ip = getClientIp(req);
-    if (!ip) return next();
-
-    const ban = await IpBan.findOne({ ip }).lean();
-    if (!ban) return next();
-
-    if (ban.expiresAt && ban.expiresAt < new Date()) {
-      // expired ban, let them through
-      return next();
-    }
-
-    return res.status(403).json({ error: "This IP is banned." });
-  } catch (err) {
-    console.error("checkIpBan error:", err.message);
-    // IMPORTANT: don't send a 500 JSON here, just skip the check
-    // so we don't break login/register with "bad JSON" if something fails
-    return next();
-  }
-}
-
 async function start() {
   await mongoose.connect(MONGODB_URI, { dbName: MONGODB_DB });
   console.log("Connected to MongoDB");
@@ -74,18 +66,42 @@ async function start() {
     const exists = await User.findOne({ username: bootUser });
     if (!exists) {
       const passwordHash = await User.hashPassword(String(bootPass));
-      await User.create({
+      const admin = await User.create({
         fullName: "Administrator",
         username: String(bootUser),
         passwordHash,
         role: "admin",
-        level: 10,
-        coins: 999999
+        level: 10
+      });
+      // starting balance goes through the ledger like any other credit
+      await credit({
+        userId: admin._id,
+        amount: 999999,
+        type: "admin_adjust",
+        description: "Bootstrap admin balance"
       });
       console.log("Bootstrapped admin:", bootUser);
     }
   }
 
+  // seed the Feature Shop catalog, level challenges and achievement definitions
+  await ensureDefaultShopItems();
+  await ensureDefaultChallenges();
+  await ensureDefaultAchievements();
+
+  // old AP milestone codes -> unified reward history
+  await migrateAwardedAchievements();
+  // balances from before the coin / AP ledgers -> opening_balance entries
+  await openCoinLedger();
+  await openApLedger();
+  // ban flags from before ban history -> Ban documents
+  await migrateLegacyBans();
+
+  // refund expired escrows / revoke expired rentals / lift expired bans in the background
+  startEscrowSweeper();
+  startRentalSweeper();
+  startBanSweeper();
+
   // Security middlewares
   app.use(
     helmet({
@@ -161,11 +177,20 @@ async function start() {
   // API routes
   app.use("/api/auth", authRoutes);
   app.use("/api/profile", profileRoutes);
+  app.use("/api/coins/escrow", escrowRoutes);
   app.use("/api/coins", coinsRoutes);
   app.use("/api/achievements", achievementsRoutes);
+  app.use("/api/levels", levelsRoutes);
+  app.use("/api/challenges", challengesRoutes);
+  app.use("/api/rewards", rewardsRoutes);
   app.use("/api/chat", chatRoutes);
+  app.use("/api/realtime", realtimeRoutes);
   app.use("/api/groups", groupsRoutes);
   app.use("/api/people", peopleRoutes);
+  app.use("/api/leaderboards", leaderboardsRoutes);
+  app.use("/api/search", searchRoutes);
+  app.use("/api/reports", reportsRoutes);
+  app.use("/api/mod", modRoutes);
   app.use("/api/upload", uploadRoutes);
   app.use("/api/bugs", bugsRoutes);
   app.use("/api/announcements", announcementsRoutes);
@@ -191,6 +216,15 @@ async function start() {
   app.get("/people", (_req, res) =>
     res.sendFile(path.join(__dirname, "public", "people.html"))
   );
+  app.get("/leaderboards", (_req, res) =>
+    res.sendFile(path.join(__dirname, "public", "leaderboards.html"))
+  );
+  app.get("/search", (_req, res) =>
+    res.sendFile(path.join(__dirname, "public", "search.html"))
+  );
+  app.get("/mod", (_req, res) =>
+    res.sendFile(path.join(__dirname, "public", "mod.html"))
+  );
   app.get("/groups", (_req, res) =>
     res.sendFile(path.join(__dirname, "public", "groups.html"))
   );
@@ -203,11 +237,10 @@ async function start() {
   app.get("/levels", (_req, res) =>
     res.sendFile(path.join(__dirname, "public", "levels.html"))
   );
+  // one page for every level, filled in from /api/levels/:num
   app.get("/level/:num", (req, res) => {
-    const n = Number(req.params.num);
-    if (!Number.isInteger(n) || n < 1 || n > 10)
-      return res.status(404).send("Not found");
-    return res.sendFile(path.join(__dirname, "public", `level${n}.html`));
+    if (!getLevel(req.params.num)) return res.status(404).send("Not found");
+    return res.sendFile(path.join(__dirname, "public", "level.html"));
   });
 
   // NEW: Feature shop pages
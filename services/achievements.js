@@ -1,78 +1,164 @@
 const User = require("../models/User");
+const AchievementDef = require("../models/AchievementDef");
 const CoinTransaction = require("../models/CoinTransaction");
+const { grantReward } = require("./progression");
+const { DEFAULT_ACHIEVEMENTS } = require("../config/achievements");
 
-const ACHIEVEMENTS = {
-  FIRST_LOGIN: { code: "FIRST_LOGIN", title: "First Login", coinsReward: 10 },
-  LEVEL2_UNLOCKED: { code: "LEVEL2_UNLOCKED", title: "Unlocked Level 2", coinsReward: 50 },
-  LEVEL3_UNLOCKED: { code: "LEVEL3_UNLOCKED", title: "Unlocked Level 3", coinsReward: 75 },
-  FIRST_BUG_REPORT: { code: "FIRST_BUG_REPORT", title: "First Bug Report", coinsReward: 25 }
+// ---------- definitions ----------
+
+const DEFS_TTL_MS = 60 * 1000;
+let defsCache = { at: 0, defs: [] };
+
+/**
+ * Insert default definitions whose code doesn't exist yet (never overwrites admin edits).
+ */
+async function ensureDefaultAchievements() {
+  for (const def of DEFAULT_ACHIEVEMENTS) {
+    await AchievementDef.updateOne({ code: def.code }, { $setOnInsert: def }, { upsert: true });
+  }
+  invalidateAchievementDefs();
+}
+
+function invalidateAchievementDefs() {
+  defsCache = { at: 0, defs: [] };
+}
+
+// Active definitions with parsed triggers (cached; admin edits invalidate the cache)
+async function getAchievementDefs() {
+  if (Date.now() - defsCache.at < DEFS_TTL_MS) return defsCache.defs;
+
+  const docs = await AchievementDef.find({ active: true }).sort({ sortOrder: 1, createdAt: 1 }).lean();
+  const defs = docs.map((d) => {
+    const parsed = parseTrigger(d.trigger);
+    if (!parsed.ok) console.error(`achievement ${d.code}: ${parsed.error}`);
+    return { ...d, conditions: parsed.ok ? parsed.conditions : null };
+  });
+  defsCache = { at: Date.now(), defs };
+  return defs;
+}
+
+// ---------- trigger rules ----------
+
+const METRIC_RE = /^(level|coins|achievementPoints|coinsReceived|coinsSent|stats\.[A-Za-z0-9_]+)$/;
+const LEDGER_METRICS = ["coinsReceived", "coinsSent"];
+const OPS = {
+  ">=": (a, b) => a >= b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  "<": (a, b) => a < b,
+  "==": (a, b) => a === b
 };
 
 /**
- * Award an achievement once.
- * - Race-safe: prevents duplicate awards under concurrency.
- * - If user is coin-banned, achievement is still granted but no coins are added.
- *
- * Returns:
- * - updated user doc if awarded OR already had it
- * - null if user not found or achievement code invalid
+ * "stats.groupMessagesSent >= 100 && level >= 5"
+ *   -> { ok: true, conditions: [{ metric, op, value }, ...] }
+ * An empty trigger is valid and has no conditions (awarded from code only).
+ */
+function parseTrigger(trigger) {
+  const text = String(trigger || "").trim();
+  if (!text) return { ok: true, conditions: [] };
+
+  const conditions = [];
+  for (const part of text.split("&&")) {
+    const m = part.trim().match(/^([A-Za-z0-9_.]+)\s*(>=|<=|==|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+    if (!m) return { ok: false, error: `Invalid condition "${part.trim()}"` };
+    if (!METRIC_RE.test(m[1])) return { ok: false, error: `Unknown metric "${m[1]}"` };
+    conditions.push({ metric: m[1], op: m[2], value: Number(m[3]) });
+  }
+  return { ok: true, conditions };
+}
+
+async function ledgerTotal(match) {
+  const [row] = await CoinTransaction.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: "$amount" } } }
+  ]);
+  return row ? row.total : 0;
+}
+
+// Metric values for one user; ledger totals are only queried when a rule needs them
+async function metricValue(metric, user, cache) {
+  if (metric in cache) return cache[metric];
+
+  let value;
+  if (metric.startsWith("stats.")) {
+    value = Number(user.stats?.[metric.slice(6)] || 0);
+  } else if (metric === "coinsReceived") {
+    value = await ledgerTotal({ toUserId: user._id, type: { $in: ["transfer", "escrow_release"] } });
+  } else if (metric === "coinsSent") {
+    value = await ledgerTotal({
+      $or: [
+        { fromUserId: user._id, type: "transfer" },
+        { counterpartyUserId: user._id, type: "escrow_release" }
+      ]
+    });
+  } else {
+    value = Number(user[metric] || 0);
+  }
+
+  cache[metric] = value;
+  return value;
+}
+
+/**
+ * Evaluate every active rule-based achievement for one user and award the ones now met.
+ * Called from the action points (login, stats changes, level-ups, coins received, ...).
+ * skipLedger: leave out rules on ledger totals (they can only change on coin events).
+ * Returns the codes awarded by this call.
  */
-async function awardAchievement(userId, code) {
-  const def = ACHIEVEMENTS[code];
-  if (!def) return null;
-
-  const now = new Date();
-  const reward = Number(def.coinsReward) || 0;
-
-  // 1) Try: award achievement + coins (only if not coin-banned)
-  // This is atomic and prevents double-award.
-  let user = await User.findOneAndUpdate(
-    {
-      _id: userId,
-      "achievements.code": { $ne: def.code },
-      "bans.isBannedFromCoins": { $ne: true }
-    },
-    {
-      $push: { achievements: { code: def.code, title: def.title, earnedAt: now } },
-      ...(reward > 0 ? { $inc: { coins: reward } } : {})
-    },
-    { new: true }
-  );
-
-  if (user) {
-    // Create transaction only when we actually gave coins
-    if (reward > 0) {
-      await CoinTransaction.create({
-        type: "achievement_reward",
-        toUserId: user._id,
-        toUsername: user.username,
-        amount: reward,
-        description: `Achievement: ${def.title}`
-      });
+async function checkAchievements(userId, { skipLedger = false } = {}) {
+  const defs = await getAchievementDefs();
+  const user = await User.findById(userId, "level coins achievementPoints stats achievements isDeleted").lean();
+  if (!user || user.isDeleted) return [];
+
+  const earned = new Set((user.achievements || []).map((a) => a.code));
+  const cache = {};
+  const awarded = [];
+
+  for (const def of defs) {
+    if (earned.has(def.code) || !def.conditions || !def.conditions.length) continue;
+    if (skipLedger && def.conditions.some((c) => LEDGER_METRICS.includes(c.metric))) continue;
+
+    let met = true;
+    for (const c of def.conditions) {
+      if (!OPS[c.op](await metricValue(c.metric, user, cache), c.value)) {
+        met = false;
+        break;
+      }
     }
-    return user;
+    if (!met) continue;
+
+    await awardAchievement(userId, def.code, def);
+    awarded.push(def.code);
   }
+  return awarded;
+}
+
+// Fire-and-forget variant for request handlers that shouldn't fail because of achievements
+function checkAchievementsSoon(userId) {
+  checkAchievements(userId).catch((err) => console.error("checkAchievements error:", err.message));
+}
+
+/**
+ * Award an achievement once (services/progression.js grantReward: coins, AP, title, unlock).
+ * `def` can be passed for achievements defined elsewhere; otherwise the active
+ * AchievementDef with this code is used.
+ *
+ * Returns { ok, awarded } or null if the achievement code is invalid.
+ */
+async function awardAchievement(userId, code, def) {
+  if (!def) def = (await getAchievementDefs()).find((d) => d.code === code);
+  if (!def || !def.code) return null;
 
-  // 2) If that didn't match, it might be because the user is coin-banned.
-  // Try: award achievement WITHOUT coins (still atomic / no duplicates).
-  user = await User.findOneAndUpdate(
-    {
-      _id: userId,
-      "achievements.code": { $ne: def.code }
-    },
-    {
-      $push: { achievements: { code: def.code, title: def.title, earnedAt: now } }
-    },
-    { new: true }
-  );
-
-  if (user) return user;
-
-  // 3) If it still didn't match, the user either:
-  // - doesn't exist, OR
-  // - already has the achievement.
-  // Return the user (like your old version did).
-  return await User.findById(userId);
+  return grantReward(userId, { source: "achievement", ...def });
 }
 
-module.exports = { ACHIEVEMENTS, awardAchievement };
\ No newline at end of file
+module.exports = {
+  ensureDefaultAchievements,
+  invalidateAchievementDefs,
+  getAchievementDefs,
+  parseTrigger,
+  checkAchievements,
+  checkAchievementsSoon,
+  awardAchievement
+};
\ No newline at end of file
@@ -1,22 +1,5 @@
 const AuditLog = require("../models/AuditLog");
-
-// Works behind proxies too (Render, Vercel, Nginx, Cloudflare, etc.)
-function getClientIp(req) {
-  if (!req) return "";
-
-  const xff = req.headers?.["x-forwarded-for"];
-  if (typeof xff === "string" && xff.length) {
-    // x-forwarded-for can be: "client, proxy1, proxy2"
-    return xff.split(",")[0].trim();
-  }
-
-  return (
-    req.ip ||
-    req.socket?.remoteAddress ||
-    req.connection?.remoteAddress ||
-    ""
-  );
-}
+const { getClientIp } = require("./clientIp");
 
 function sanitizeDetails(details, maxChars = 5000) {
   try {
@@ -40,6 +23,7 @@ function sanitizeDetails(details, maxChars = 5000) {
  * audit({
  *   req,                    // optional: express req (recommended)
  *   actor,                  // optional: user object (if not using req.user)
+ *   system,                 // optional: true for automatic jobs (no human actor)
  *   action,                 // required string
  *   targetUsername,         // optional string
  *   details,                // optional object/string (will be trimmed)
@@ -49,6 +33,7 @@ function sanitizeDetails(details, maxChars = 5000) {
 async function audit({
   req = null,
   actor = null,
+  system = false,
   action,
   targetUsername = "",
   details = {},
@@ -56,7 +41,7 @@ async function audit({
 }) {
   if (!action) return;
 
-  const a = actor || req?.user;
+  const a = actor || req?.user || (system ? { _id: null, username: "system", role: "system" } : null);
   if (!a) return;
 
   const detectedIp = ip || getClientIp(req);
@@ -90,4 +75,4 @@ async function audit({
   }
 }
 
-module.exports = { audit, getClientIp };
\ No newline at end of file
+module.exports = { audit };
\ No newline at end of file
@@ -0,0 +1,298 @@
+const mongoose = require("mongoose");
+const Ban = require("../models/Ban");
+const User = require("../models/User");
+const { audit } = require("./audit");
+const { BAN_SCOPES, BANS } = require("../config/bans");
+
+/**
+ * Scoped, optionally temporary user bans with history.
+ *
+ * Every ban is a Ban document (who issued it, why, from when until when). The
+ * User.bans flags the rest of the app checks are rebuilt from the active ones by
+ * syncUserBans, so they must only be changed through issueBan / liftBans.
+ * Temporary bans run out on their own: the sweep expires them in the background
+ * and loadUser does it immediately for the user making the request.
+ */
+
+const SCOPES = Object.keys(BAN_SCOPES);
+
+function userIdOf(user) {
+  return user._id || user;
+}
+
+/**
+ * Expire bans whose time is up, then rebuild User.bans from the active ones.
+ * Returns the fresh User.bans object.
+ */
+async function syncUserBans(userId) {
+  const now = new Date();
+
+  const due = await Ban.find({ userId, status: "active", endsAt: { $ne: null, $lte: now } }).lean();
+  for (const ban of due) {
+    const r = await Ban.updateOne({ _id: ban._id, status: "active" }, { $set: { status: "expired" } });
+    if ((r.modifiedCount ?? r.nModified ?? 0) !== 1) continue;
+    await audit({
+      system: true,
+      action: "BAN_EXPIRED",
+      targetUsername: ban.username,
+      details: { banId: ban._id.toString(), scope: ban.scope, endsAt: ban.endsAt }
+    });
+  }
+
+  const active = await Ban.find({ userId, status: "active" }).sort({ _id: 1 }).lean();
+  const set = { "bans.updatedAt": now, "bans.reason": active.length ? active[active.length - 1].reason : "" };
+  for (const scope of SCOPES) {
+    const bans = active.filter((b) => b.scope === scope);
+    set[`bans.${BAN_SCOPES[scope]}`] = bans.length > 0;
+    // the scope is lifted when the last ban ends; any open-ended ban keeps it until lifted
+    set[`bans.until.${scope}`] =
+      !bans.length || bans.some((b) => !b.endsAt) ? null : new Date(Math.max(...bans.map((b) => b.endsAt.getTime())));
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { $set: set }, { new: true, projection: "bans" }).lean();
+  return user ? user.bans : null;
+}
+
+/**
+ * Expire a request user's lapsed bans on the spot (called by loadUser).
+ * Updates user.bans in place when something changed.
+ */
+async function refreshExpiredBans(user) {
+  const until = user.bans?.until || {};
+  const now = Date.now();
+  const lapsed = SCOPES.some((s) => user.bans?.[BAN_SCOPES[s]] && until[s] && new Date(until[s]).getTime() <= now);
+  if (!lapsed) return false;
+
+  const fresh = await syncUserBans(user._id);
+  if (!fresh) return false;
+  if (user.set) user.set("bans", fresh);
+  else user.bans = fresh;
+  return true;
+}
+
+/**
+ * Ban `user` (document or id) from `scope`.
+ * hours: duration, or null/undefined for a ban that lasts until lifted.
+ * Returns { ok, ban, bans } or { ok: false, status, error }.
+ */
+async function issueBan({ req = null, actor = null, user, scope, hours = null, reason = "", source = "admin", reportId = null }) {
+  if (!SCOPES.includes(scope)) return { ok: false, status: 400, error: "Invalid ban scope" };
+
+  let endsAt = null;
+  if (hours !== null && hours !== undefined && hours !== "") {
+    const h = Number(hours);
+    if (!(h >= 1 && h <= BANS.maxDurationHours)) {
+      return { ok: false, status: 400, error: `Ban duration must be between 1 hour and ${BANS.maxDurationHours} hours` };
+    }
+    endsAt = new Date(Date.now() + h * 60 * 60 * 1000);
+  }
+
+  const target = user.username ? user : await User.findById(user, "username").lean();
+  if (!target) return { ok: false, status: 404, error: "User not found" };
+
+  const by = actor || req?.user || null;
+  const ban = await Ban.create({
+    userId: target._id,
+    username: target.username,
+    scope,
+    reason: String(reason || "").slice(0, BANS.maxReasonLength),
+    endsAt,
+    source,
+    reportId,
+    issuedByUserId: by?._id || null,
+    issuedByUsername: by?.username || "system"
+  });
+  const bans = await syncUserBans(target._id);
+
+  await audit({
+    req,
+    actor,
+    system: !by,
+    action: "BAN_ISSUED",
+    targetUsername: target.username,
+    details: { banId: ban._id.toString(), scope, endsAt, reason: ban.reason, source }
+  });
+  return { ok: true, ban: ban.toObject(), bans };
+}
+
+/**
+ * Lift active bans of `user`: one by banId, or every active ban of `scope`.
+ * Returns { ok, lifted, bans } or { ok: false, status, error }.
+ */
+async function liftBans({ req = null, actor = null, user, scope = null, banId = null, reason = "" }) {
+  const userId = userIdOf(user);
+  const filter = { userId, status: "active" };
+  if (banId) {
+    if (!mongoose.isValidObjectId(banId)) return { ok: false, status: 400, error: "Invalid banId" };
+    filter._id = banId;
+  } else if (SCOPES.includes(scope)) {
+    filter.scope = scope;
+  } else {
+    return { ok: false, status: 400, error: "Give a scope or banId to lift" };
+  }
+
+  const by = actor || req?.user || null;
+  const bans = await Ban.find(filter, "_id scope username").lean();
+  if (bans.length) {
+    await Ban.updateMany(
+      { _id: { $in: bans.map((b) => b._id) }, status: "active" },
+      {
+        $set: {
+          status: "lifted",
+          liftedAt: new Date(),
+          liftedByUserId: by?._id || null,
+          liftedByUsername: by?.username || "system",
+          liftReason: String(reason || "").slice(0, BANS.maxReasonLength)
+        }
+      }
+    );
+    await audit({
+      req,
+      actor,
+      system: !by,
+      action: "BAN_LIFTED",
+      targetUsername: bans[0].username,
+      details: { banIds: bans.map((b) => b._id.toString()), scopes: [...new Set(bans.map((b) => b.scope))], reason }
+    });
+  }
+
+  return { ok: true, lifted: bans.length, bans: await syncUserBans(userId) };
+}
+
+/**
+ * Set scopes on or off in one go (the admin checkbox routes).
+ * flags: { chat: true|false|undefined, ... }; undefined leaves a scope alone.
+ * Without hours, a scope that is only banned for a while gets an open-ended ban.
+ */
+async function setBanFlags({ req, user, flags, hours = null, reason = "" }) {
+  const openEnded = hours === null || hours === undefined || hours === "";
+  for (const scope of SCOPES) {
+    const want = flags[scope];
+    if (typeof want !== "boolean") continue;
+    const has = !!user.bans?.[BAN_SCOPES[scope]];
+    const temporary = has && !!user.bans?.until?.[scope];
+    if (want && (!has || (openEnded && temporary))) {
+      const r = await issueBan({ req, user, scope, hours, reason });
+      if (!r.ok) return r;
+    } else if (!want && has) {
+      await liftBans({ req, user, scope, reason });
+    }
+  }
+  const fresh = await User.findById(user._id, "bans").lean();
+  return { ok: true, bans: fresh?.bans || {} };
+}
+
+/**
+ * Active bans for the user's own view: [{ scope, until, remainingSeconds, reason }]
+ * (until/remainingSeconds are null for bans that last until lifted).
+ */
+function banSummary(user) {
+  const now = Date.now();
+  const until = user.bans?.until || {};
+  const out = [];
+  for (const scope of SCOPES) {
+    if (!user.bans?.[BAN_SCOPES[scope]]) continue;
+    const end = until[scope] ? new Date(until[scope]) : null;
+    if (end && end.getTime() <= now) continue; // lapsed, not swept yet
+    out.push({
+      scope,
+      until: end,
+      remainingSeconds: end ? Math.ceil((end.getTime() - now) / 1000) : null,
+      reason: user.bans.reason || ""
+    });
+  }
+  return out;
+}
+
+function banError(user, scope) {
+  const end = user.bans?.until?.[scope];
+  return `You are banned from ${scope}${end ? ` until ${new Date(end).toISOString()}` : ""}`;
+}
+
+/**
+ * Middleware: reject users banned from `scope`. Use after loadUser.
+ */
+function requireNotBanned(scope) {
+  return function (req, res, next) {
+    if (req.user?.bans?.[BAN_SCOPES[scope]]) {
+      return res.status(403).json({ error: banError(req.user, scope) });
+    }
+    next();
+  };
+}
+
+async function banHistory(userId, { limit = 200 } = {}) {
+  return Ban.find({ userId }).sort({ _id: -1 }).limit(limit).lean();
+}
+
+/**
+ * Expire lapsed bans for every user (background sweep).
+ */
+async function sweepExpiredBans() {
+  const userIds = await Ban.distinct("userId", { status: "active", endsAt: { $ne: null, $lte: new Date() } });
+  for (const userId of userIds.slice(0, 500)) await syncUserBans(userId);
+  return Math.min(userIds.length, 500);
+}
+
+let sweepTimer = null;
+
+function startBanSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    sweepExpiredBans().catch((err) => console.error("ban sweep error:", err.message));
+  }, BANS.sweepIntervalMs);
+  sweepTimer.unref();
+}
+
+/**
+ * Flags set before Ban documents existed become open-ended "legacy" bans, so the
+ * first sync doesn't clear them. A moderator chat ban's old `chatBanUntil` is kept
+ * as its end. Safe to run on every start.
+ */
+async function migrateLegacyBans() {
+  const users = await User.find(
+    { $or: SCOPES.map((s) => ({ [`bans.${BAN_SCOPES[s]}`]: true })) },
+    "username bans"
+  ).lean();
+
+  let migrated = 0;
+  for (const u of users) {
+    const active = await Ban.distinct("scope", { userId: u._id, status: "active" });
+    const missing = SCOPES.filter((s) => u.bans[BAN_SCOPES[s]] && !active.includes(s));
+    if (!missing.length) continue;
+
+    for (const scope of missing) {
+      const legacyEnd = scope === "chat" ? u.bans.chatBanUntil || u.bans.until?.chat : u.bans.until?.[scope];
+      await Ban.create({
+        userId: u._id,
+        username: u.username,
+        scope,
+        reason: u.bans.reason || "",
+        startsAt: u.bans.updatedAt || new Date(),
+        endsAt: legacyEnd || null,
+        source: "legacy"
+      });
+    }
+    // not in the schema any more, so strict mode would drop the $unset
+    await User.updateOne({ _id: u._id }, { $unset: { "bans.chatBanUntil": "" } }, { strict: false });
+    await syncUserBans(u._id);
+    migrated++;
+  }
+  return migrated;
+}
+
+module.exports = {
+  BAN_SCOPES,
+  issueBan,
+  liftBans,
+  setBanFlags,
+  syncUserBans,
+  refreshExpiredBans,
+  banSummary,
+  banError,
+  requireNotBanned,
+  banHistory,
+  sweepExpiredBans,
+  startBanSweeper,
+  migrateLegacyBans
+};
@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const Challenge = require("../models/Challenge");
+const ChallengeProgress = require("../models/ChallengeProgress");
+const { debit } = require("./ledger");
+const { checkAchievements } = require("./achievements");
+const { recordFeatureAction } = require("./featureProgress");
+const { grantReward } = require("./progression");
+const { CHALLENGE_ATTEMPTS, DEFAULT_CHALLENGES } = require("../config/challenges");
+
+function hashAnswer(key, answer) {
+  return crypto
+    .createHash("sha256")
+    .update(`${key}:${String(answer ?? "").trim()}`)
+    .digest("hex");
+}
+
+function answerMatches(challenge, answer) {
+  const a = Buffer.from(hashAnswer(challenge.key, answer), "hex");
+  const b = Buffer.from(String(challenge.answerHash || ""), "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Seed the default challenges on first start (empty collection only).
+ */
+async function ensureDefaultChallenges() {
+  const count = await Challenge.estimatedDocumentCount();
+  if (count > 0) return;
+  await Challenge.insertMany(DEFAULT_CHALLENGES);
+  console.log("Seeded default challenges:", DEFAULT_CHALLENGES.map((c) => c.key).join(", "));
+}
+
+// Level N challenges open up at level N - 1
+function canAttemptLevel(user, level) {
+  return (Number(user?.level) || 1) >= level - 1;
+}
+
+function windowMs() {
+  return CHALLENGE_ATTEMPTS.windowMinutes * 60 * 1000;
+}
+
+// Attempts left in the current window + when the window resets
+function attemptState(progress, now = new Date()) {
+  if (!progress || now - new Date(progress.windowStartedAt) >= windowMs()) {
+    return { attemptsLeft: CHALLENGE_ATTEMPTS.maxPerWindow, retryAt: null };
+  }
+  const left = Math.max(0, CHALLENGE_ATTEMPTS.maxPerWindow - progress.windowAttempts);
+  return {
+    attemptsLeft: left,
+    retryAt: left > 0 ? null : new Date(new Date(progress.windowStartedAt).getTime() + windowMs())
+  };
+}
+
+/**
+ * Active challenges of one level, with this user's progress. Never includes the answer hash.
+ */
+async function listForLevel(user, level) {
+  const challenges = await Challenge.find({ level, active: true })
+    .sort({ sortOrder: 1, createdAt: 1 })
+    .lean();
+  const progress = await ChallengeProgress.find({
+    userId: user._id,
+    challengeId: { $in: challenges.map((c) => c._id) }
+  }).lean();
+  const byId = new Map(progress.map((p) => [p.challengeId.toString(), p]));
+
+  return challenges.map((c) => {
+    const p = byId.get(c._id.toString());
+    return {
+      id: c._id,
+      key: c.key,
+      level: c.level,
+      title: c.title,
+      prompt: c.prompt,
+      coinsReward: c.coinsReward,
+      apReward: c.apReward,
+      solved: !!p?.solvedAt,
+      solvedAt: p?.solvedAt || null,
+      attempts: p?.attempts || 0,
+      ...attemptState(p)
+    };
+  });
+}
+
+// Take one attempt from the user's window. Returns the progress doc or { error }.
+async function claimAttempt(userId, challengeId) {
+  const now = new Date();
+
+  await ChallengeProgress.updateOne(
+    { userId, challengeId },
+    { $setOnInsert: { windowStartedAt: now, windowAttempts: 0 } },
+    { upsert: true }
+  );
+
+  // start a new window when the old one has passed
+  await ChallengeProgress.updateOne(
+    { userId, challengeId, windowStartedAt: { $lte: new Date(now.getTime() - windowMs()) } },
+    { $set: { windowStartedAt: now, windowAttempts: 0 } }
+  );
+
+  const progress = await ChallengeProgress.findOneAndUpdate(
+    {
+      userId,
+      challengeId,
+      solvedAt: null,
+      windowAttempts: { $lt: CHALLENGE_ATTEMPTS.maxPerWindow }
+    },
+    { $inc: { attempts: 1, windowAttempts: 1 }, $set: { lastAttemptAt: now } },
+    { new: true }
+  );
+  if (progress) return { progress };
+
+  const current = await ChallengeProgress.findOne({ userId, challengeId }).lean();
+  if (current?.solvedAt) return { status: 400, error: "Already solved" };
+  return { status: 429, error: "Too many attempts, try again later", ...attemptState(current) };
+}
+
+// All active challenges of `level` solved while at level - 1 -> free level up
+async function maybeLevelUp(userId, level) {
+  const ids = await Challenge.find({ level, active: true }, "_id").lean();
+  if (!ids.length) return null;
+
+  const solved = await ChallengeProgress.countDocuments({
+    userId,
+    challengeId: { $in: ids.map((c) => c._id) },
+    solvedAt: { $ne: null }
+  });
+  if (solved < ids.length) return null;
+
+  const oldLevel = level - 1;
+  const result = await debit({
+    userId,
+    amount: 0,
+    type: "level_up",
+    description: `Level up ${oldLevel} -> ${level} (challenges solved)`,
+    filter: { level: oldLevel },
+    update: { $set: { level } },
+    revert: { $set: { level: oldLevel } },
+    failMessage: "Level already changed"
+  });
+  if (!result.ok) return null;
+
+  await checkAchievements(userId);
+  return level;
+}
+
+/**
+ * Check an answer. Wrong answers count against the attempt window; a correct one
+ * grants the challenge's coins and AP exactly once (one progression reward).
+ * Returns { ok, correct, ... } or { ok: false, status, error }.
+ */
+async function submitAnswer(user, challengeId, answer) {
+  const challenge = await Challenge.findOne({ _id: challengeId, active: true }).lean();
+  if (!challenge) return { ok: false, status: 404, error: "Challenge not found" };
+  if (!canAttemptLevel(user, challenge.level)) {
+    return { ok: false, status: 403, error: `Reach Level ${challenge.level - 1} first` };
+  }
+  if (!String(answer ?? "").trim()) return { ok: false, status: 400, error: "Answer required" };
+
+  const claimed = await claimAttempt(user._id, challenge._id);
+  if (claimed.error) {
+    return { ok: false, status: claimed.status, error: claimed.error, retryAt: claimed.retryAt };
+  }
+
+  if (!answerMatches(challenge, answer)) {
+    return { ok: true, correct: false, ...attemptState(claimed.progress) };
+  }
+
+  // only the request that flips solvedAt pays out
+  const solved = await ChallengeProgress.updateOne(
+    { _id: claimed.progress._id, solvedAt: null },
+    { $set: { solvedAt: new Date() } }
+  );
+  if ((solved.modifiedCount ?? solved.nModified ?? 0) !== 1) {
+    return { ok: false, status: 400, error: "Already solved" };
+  }
+
+  await grantReward(user._id, {
+    code: `CHALLENGE_${challenge.key.toUpperCase()}`,
+    title: `Solved: ${challenge.title}`,
+    source: "challenge",
+    coins: challenge.coinsReward,
+    ap: challenge.apReward
+  });
+  await recordFeatureAction(user._id, "challenges", "challengesSolved", 1);
+
+  const newLevel = await maybeLevelUp(user._id, challenge.level);
+
+  return {
+    ok: true,
+    correct: true,
+    coinsReward: challenge.coinsReward,
+    apReward: challenge.apReward,
+    leveledUpTo: newLevel
+  };
+}
+
+module.exports = {
+  hashAnswer,
+  ensureDefaultChallenges,
+  canAttemptLevel,
+  listForLevel,
+  submitAnswer
+};
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Group = require("../models/Group");
+const { hasEntitlement } = require("./entitlements");
+const { canReadDm } = require("./privacy");
+
+/**
+ * Who may read a DM or group conversation.
+ * Shared by the history routes and the realtime stream so both enforce the same rules.
+ * Each check returns { ok: true, ... } or { ok: false, status, error }.
+ */
+
+const CHAT_LOCKED = "Chat feature is locked. Unlock it in the Feature Shop.";
+const GROUP_CHAT_LOCKED = "Group Chat feature is locked. Unlock it in the Feature Shop.";
+
+// Both users need the chat unlock, and neither may have blocked the other
+// (the privacy mode only applies while the thread is empty, see canReadDm)
+async function dmAccess(user, withUsername) {
+  if (!hasEntitlement(user, "chat")) return { ok: false, status: 403, error: CHAT_LOCKED };
+
+  const username = String(withUsername || "").trim();
+  if (!username) return { ok: false, status: 400, error: "Missing ?with=username" };
+
+  const other = await User.findOne({ username });
+  if (!other) return { ok: false, status: 404, error: "User not found" };
+  if (other._id.equals(user._id)) {
+    return { ok: false, status: 400, error: "Cannot chat with yourself here" };
+  }
+  if (!hasEntitlement(other, "chat")) {
+    return { ok: false, status: 403, error: "The other user has not unlocked chat yet." };
+  }
+  const contact = await canReadDm(user, other);
+  if (!contact.ok) return contact;
+  return { ok: true, other };
+}
+
+function isGroupMember(group, user) {
+  return (group.members || []).some((m) => m.userId.toString() === user._id.toString());
+}
+
+// Members (or admins) with the groupChat unlock
+async function groupAccess(user, groupId) {
+  if (!hasEntitlement(user, "groupChat")) {
+    return { ok: false, status: 403, error: GROUP_CHAT_LOCKED };
+  }
+  if (!mongoose.isValidObjectId(groupId)) return { ok: false, status: 404, error: "Group not found" };
+
+  const group = await Group.findById(groupId);
+  if (!group) return { ok: false, status: 404, error: "Group not found" };
+  if (!isGroupMember(group, user) && user.role !== "admin") {
+    return { ok: false, status: 403, error: "Join the group first" };
+  }
+  return { ok: true, group };
+}
+
+// Messages of one DM conversation
+function dmFilter(aId, bId) {
+  return {
+    $or: [
+      { fromUserId: aId, toUserId: bId },
+      { fromUserId: bId, toUserId: aId }
+    ]
+  };
+}
+
+// Room key for the realtime hub and read cursors
+function dmRoom(aId, bId) {
+  return `dm:${[aId.toString(), bId.toString()].sort().join(":")}`;
+}
+
+function groupRoom(groupId) {
+  return `group:${groupId.toString()}`;
+}
+
+module.exports = {
+  dmAccess,
+  groupAccess,
+  isGroupMember,
+  dmFilter,
+  dmRoom,
+  groupRoom
+};
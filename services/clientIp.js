@@ -0,0 +1,100 @@
+const { parseIp, formatIp, parseCidr, buildRangeSet, inRangeSet } = require("./ipRanges");
+const { CLIENT_IP } = require("../config/clientIp");
+
+/**
+ * The one place that decides a request's client IP (config/clientIp.js).
+ * Used by IP bans, rate limiters, audit logs and the lastIp tracker; server.js
+ * passes isTrustedProxy to Express as "trust proxy" so req.ip / req.secure agree.
+ *
+ * Addresses come back normalized ("::ffff:1.2.3.4" -> "1.2.3.4").
+ */
+
+function rangeSetOf(cidrs, what) {
+  return buildRangeSet(
+    cidrs.map((cidr) => {
+      const range = parseCidr(cidr);
+      // fail at startup rather than silently trusting the wrong hops
+      if (!range) throw new Error(`Invalid ${what} range: ${cidr}`);
+      return range;
+    })
+  );
+}
+
+const cloudflareSet = rangeSetOf(CLIENT_IP.cloudflare ? CLIENT_IP.cloudflareRanges : [], "Cloudflare");
+const trustedSet = rangeSetOf(
+  [...CLIENT_IP.trustedProxies, ...(CLIENT_IP.cloudflare ? CLIENT_IP.cloudflareRanges : [])],
+  "TRUSTED_PROXIES"
+);
+
+// also Express's "trust proxy" function (addr, hopIndex)
+function isTrustedProxy(ip) {
+  return inRangeSet(trustedSet, ip);
+}
+
+function header(req, name) {
+  const value = req.headers?.[name];
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// an X-Forwarded-For entry, which some proxies write with a port
+function parseHop(hop) {
+  const text = hop.trim();
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(text);
+  if (bracketed) return parseIp(bracketed[1]);
+  const v4WithPort = /^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/.exec(text);
+  return parseIp(v4WithPort ? v4WithPort[1] : text);
+}
+
+/**
+ * Client IP of `req`, or "" when the socket address is unknown.
+ *
+ * Starting from the socket peer, step left through X-Forwarded-For for as long
+ * as the current address is a trusted proxy; the first untrusted address is the
+ * client. Stops at an unparsable entry (the last good hop is used).
+ */
+function getClientIp(req) {
+  if (!req) return "";
+
+  const peer = parseIp(req.socket?.remoteAddress || req.connection?.remoteAddress || "");
+  if (!peer) return "";
+  if (!isTrustedProxy(peer)) return formatIp(peer);
+
+  if (CLIENT_IP.xRealIp) {
+    const real = parseIp(header(req, "x-real-ip"));
+    if (real) return formatIp(real);
+  }
+
+  const hops = header(req, "x-forwarded-for").split(",").filter((h) => h.trim());
+  let addr = peer;
+  let i = hops.length;
+  for (;;) {
+    // Cloudflare's edge states the client directly
+    if (CLIENT_IP.cloudflare && inRangeSet(cloudflareSet, addr)) {
+      const cf = parseIp(header(req, "cf-connecting-ip"));
+      if (cf) return formatIp(cf);
+    }
+    if (i === 0) break;
+
+    const next = parseHop(hops[--i]);
+    if (!next) break;
+    addr = next;
+    if (!isTrustedProxy(addr)) break;
+  }
+  return formatIp(addr);
+}
+
+/**
+ * Rate-limit key: the client IP, with IPv6 clients grouped by their
+ * ipv6RateLimitPrefix network so they can't rotate through their own block.
+ */
+function rateLimitKey(req) {
+  const ip = getClientIp(req);
+  const range = parseCidr(`${ip}/${CLIENT_IP.ipv6RateLimitPrefix}`);
+  return range && range.version === 6 ? range.cidr : ip;
+}
+
+module.exports = {
+  getClientIp,
+  rateLimitKey,
+  isTrustedProxy
+};
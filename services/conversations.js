@@ -0,0 +1,96 @@
+const User = require("../models/User");
+const ChatMessage = require("../models/ChatMessage");
+const { dmRoom } = require("./chatAccess");
+const { cursorsFor } = require("./readCursors");
+
+/**
+ * DM inbox: one row per conversation partner, newest conversation first.
+ * Each row has the last message preview, unread count (messages from the partner
+ * after the user's read cursor) and the coins sent each way.
+ */
+
+const PREVIEW_LENGTH = 80;
+
+function preview(m) {
+  if (m.deletedAt) return "[message deleted]";
+  const text = String(m.text || "").replace(/\s+/g, " ").trim();
+  if (text) return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+  if (m.imageUrl) return "[image]";
+  if (m.coinsSent) return `[${m.coinsSent} coins]`;
+  return "";
+}
+
+async function unreadCounts(userId, partnerIds) {
+  if (!partnerIds.length) return new Map();
+
+  const cursors = await cursorsFor(
+    userId,
+    partnerIds.map((id) => dmRoom(userId, id))
+  );
+  const rows = await ChatMessage.aggregate([
+    {
+      $match: {
+        toUserId: userId,
+        $or: partnerIds.map((id) => {
+          const lastRead = cursors.get(dmRoom(userId, id));
+          return lastRead ? { fromUserId: id, _id: { $gt: lastRead } } : { fromUserId: id };
+        })
+      }
+    },
+    { $group: { _id: "$fromUserId", unread: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r.unread]));
+}
+
+/**
+ * Returns [{ username, level, lastMessage: { text, fromMe, createdAt }, unread,
+ *            coinsSent, coinsReceived, messageCount }]
+ */
+async function listConversations(user, { limit = 50 } = {}) {
+  const me = user._id;
+
+  const rows = await ChatMessage.aggregate([
+    { $match: { $or: [{ fromUserId: me }, { toUserId: me }] } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { $cond: [{ $eq: ["$fromUserId", me] }, "$toUserId", "$fromUserId"] },
+        last: { $first: "$$ROOT" },
+        messageCount: { $sum: 1 },
+        coinsSent: { $sum: { $cond: [{ $eq: ["$fromUserId", me] }, "$coinsSent", 0] } },
+        coinsReceived: { $sum: { $cond: [{ $eq: ["$toUserId", me] }, "$coinsSent", 0] } }
+      }
+    },
+    { $sort: { "last.createdAt": -1 } },
+    { $limit: limit }
+  ]);
+
+  const partnerIds = rows.map((r) => r._id);
+  const [partners, unread] = await Promise.all([
+    User.find({ _id: { $in: partnerIds } }, "username level isDeleted").lean(),
+    unreadCounts(me, partnerIds)
+  ]);
+  const byId = new Map(partners.map((p) => [p._id.toString(), p]));
+
+  return rows.map((r) => {
+    const id = r._id.toString();
+    const partner = byId.get(id);
+    const fromMe = r.last.fromUserId.equals(me);
+    return {
+      username: partner?.username || (fromMe ? r.last.toUsername : r.last.fromUsername),
+      level: partner?.level ?? null,
+      deleted: !partner || !!partner.isDeleted,
+      lastMessage: {
+        text: preview(r.last),
+        fromMe,
+        createdAt: r.last.createdAt
+      },
+      unread: unread.get(id) || 0,
+      coinsSent: r.coinsSent,
+      coinsReceived: r.coinsReceived,
+      messageCount: r.messageCount
+    };
+  });
+}
+
+module.exports = { listConversations };
@@ -0,0 +1,183 @@
+const { credit } = require("./ledger");
+const { checkAchievements } = require("./achievements");
+const { DAILY_REWARDS } = require("../config/economy");
+
+/**
+ * Daily check-in with consecutive-day streaks.
+ *
+ * A "day" is the calendar day in the user's timezone (User.timezone, IANA name).
+ * Claiming on the next day continues the streak; up to DAILY_REWARDS.graceDays
+ * missed days are forgiven, anything longer starts over at 1. The coins go
+ * through the ledger (daily_reward) in the same update that records the claim,
+ * conditional on the previous claim day, so a day is never paid twice.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== "string" || tz.length > 64) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function timezoneOf(user) {
+  return isValidTimezone(user?.timezone) ? user.timezone : DAILY_REWARDS.defaultTimezone;
+}
+
+// "YYYY-MM-DD" of `date` in `tz`
+function localDay(date, tz) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(date);
+}
+
+// Whole days between two "YYYY-MM-DD" strings (b - a)
+function dayDiff(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+}
+
+function rewardFor(streak) {
+  const list = DAILY_REWARDS.rewards;
+  return list[Math.min(Math.max(streak, 1), list.length) - 1];
+}
+
+/**
+ * Streak the user would be on if they claimed on `today` (0 when already claimed today).
+ */
+function nextStreak(user, today) {
+  const last = user.daily?.lastClaimDay;
+  if (!last) return 1;
+
+  const gap = dayDiff(last, today);
+  if (gap <= 0) return 0;
+  if (gap <= 1 + DAILY_REWARDS.graceDays) return (Number(user.stats?.dailyStreak) || 0) + 1;
+  return 1;
+}
+
+/**
+ * Earliest time the next claim is allowed by DAILY_REWARDS.minHoursBetweenClaims,
+ * or null when that gap has already passed.
+ */
+function minGapEnd(user, now) {
+  const lastAt = user.daily?.lastClaimAt;
+  if (!lastAt) return null;
+  const end = new Date(new Date(lastAt).getTime() + DAILY_REWARDS.minHoursBetweenClaims * 60 * 60 * 1000);
+  return end > now ? end : null;
+}
+
+/**
+ * Current check-in state for GET /api/rewards/daily.
+ * `tz` overrides the stored timezone for display only.
+ */
+function dailyStatus(user, { tz, now = new Date() } = {}) {
+  const timezone = isValidTimezone(tz) ? tz : timezoneOf(user);
+  const today = localDay(now, timezone);
+  const next = nextStreak(user, today);
+  const claimedToday = next === 0;
+  const gapEnd = claimedToday ? null : minGapEnd(user, now);
+
+  // streak shown is the one still alive today (a broken streak shows 0 until the next claim)
+  const current = Number(user.stats?.dailyStreak) || 0;
+  const alive = claimedToday || next > 1 ? current : 0;
+
+  return {
+    today,
+    timezone,
+    streak: alive,
+    bestStreak: Number(user.stats?.bestDailyStreak) || 0,
+    claimedToday,
+    // set when a new day has started but the last claim was under minHoursBetweenClaims ago
+    nextClaimAt: gapEnd,
+    canClaim: !claimedToday && !gapEnd,
+    lastClaimDay: user.daily?.lastClaimDay || null,
+    nextStreak: claimedToday ? current + 1 : next,
+    nextReward: rewardFor(claimedToday ? current + 1 : next),
+    graceDays: DAILY_REWARDS.graceDays,
+    schedule: DAILY_REWARDS.rewards
+  };
+}
+
+/**
+ * Claim today's reward. `timezone` (optional) is validated and stored on the user.
+ * Returns { ok, streak, bestStreak, reward, coins, today } or { ok: false, status, error }.
+ */
+async function claimDaily(user, { timezone, now = new Date() } = {}) {
+  if (timezone !== undefined && timezone !== "" && !isValidTimezone(timezone)) {
+    return { ok: false, status: 400, error: "Invalid timezone" };
+  }
+  if (user.bans?.isBannedFromCoins) {
+    return { ok: false, status: 403, error: "You are banned from using coins" };
+  }
+
+  const tz = timezone || timezoneOf(user);
+  const today = localDay(now, tz);
+  const streak = nextStreak(user, today);
+  if (streak === 0) return { ok: false, status: 409, error: "Already claimed today" };
+
+  const gapEnd = minGapEnd(user, now);
+  if (gapEnd) {
+    return { ok: false, status: 409, error: `Next claim available at ${gapEnd.toISOString()}` };
+  }
+
+  const best = Math.max(streak, Number(user.stats?.bestDailyStreak) || 0);
+  const reward = rewardFor(streak);
+  const previous = {
+    "daily.lastClaimDay": user.daily?.lastClaimDay || "",
+    "daily.lastClaimAt": user.daily?.lastClaimAt || null,
+    "stats.dailyStreak": Number(user.stats?.dailyStreak) || 0,
+    "stats.bestDailyStreak": Number(user.stats?.bestDailyStreak) || 0,
+    timezone: user.timezone || ""
+  };
+
+  const result = await credit({
+    userId: user._id,
+    amount: reward,
+    type: "daily_reward",
+    description: `Daily check-in (day ${streak})`,
+    filter: {
+      // older accounts have no `daily` field yet (null also matches missing)
+      "daily.lastClaimDay": previous["daily.lastClaimDay"] || { $in: ["", null] },
+      "bans.isBannedFromCoins": { $ne: true }
+    },
+    update: {
+      $set: {
+        "daily.lastClaimDay": today,
+        "daily.lastClaimAt": now,
+        "stats.dailyStreak": streak,
+        "stats.bestDailyStreak": best,
+        timezone: timezone || user.timezone || ""
+      },
+      $inc: { "stats.dailyClaims": 1 }
+    },
+    revert: { $set: previous, $inc: { "stats.dailyClaims": -1 } },
+    failMessage: "Already claimed today"
+  });
+  if (!result.ok) {
+    return { ok: false, status: result.status === 400 ? 409 : result.status, error: result.error };
+  }
+
+  await checkAchievements(user._id);
+
+  return {
+    ok: true,
+    today,
+    streak,
+    bestStreak: best,
+    reward,
+    coins: result.toUser?.coins
+  };
+}
+
+module.exports = {
+  isValidTimezone,
+  localDay,
+  dailyStatus,
+  claimDaily
+};
@@ -0,0 +1,54 @@
+/**
+ * Feature entitlements: what a user has unlocked from the Feature Shop.
+ * Stored in User.entitlements ({ key, source, grantedAt, expiresAt }); the legacy
+ * User.unlocks booleans are still honoured so nothing already bought is lost.
+ * Rentals stop counting the moment expiresAt passes, even before the sweep removes them.
+ */
+
+function isActive(entitlement, now = new Date()) {
+  return !entitlement.expiresAt || new Date(entitlement.expiresAt) > now;
+}
+
+function activeEntitlement(user, key) {
+  return (user?.entitlements || []).find((e) => e.key === key && isActive(e)) || null;
+}
+
+function hasEntitlement(user, key) {
+  if (!user || !key) return false;
+  if (activeEntitlement(user, key)) return true;
+  return user.unlocks?.[key] === true;
+}
+
+/**
+ * { key: true } map of everything the user owns (shape the frontend already uses for `unlocks`).
+ */
+function entitlementMap(user) {
+  const out = {};
+  const legacy = user?.unlocks?.toObject ? user.unlocks.toObject() : user?.unlocks || {};
+  for (const [k, v] of Object.entries(legacy)) if (v === true) out[k] = true;
+  for (const e of user?.entitlements || []) if (isActive(e)) out[e.key] = true;
+  return out;
+}
+
+/**
+ * Middleware: user must own `key`. Use after loadUser.
+ */
+function requireEntitlement(key, message) {
+  return function (req, res, next) {
+    if (!req.user) return res.status(401).json({ error: "Not logged in" });
+    if (!hasEntitlement(req.user, key)) {
+      return res.status(403).json({
+        error: message || "This feature is locked. Unlock it in the Feature Shop."
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  isActive,
+  activeEntitlement,
+  hasEntitlement,
+  entitlementMap,
+  requireEntitlement
+};
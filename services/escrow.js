@@ -0,0 +1,240 @@
+const mongoose = require("mongoose");
+const Escrow = require("../models/Escrow");
+const CoinTransaction = require("../models/CoinTransaction");
+const { debit, credit } = require("./ledger");
+const { reserveTransfer, releaseTransfer } = require("./transferLimits");
+const { checkAchievementsSoon } = require("./achievements");
+const { ESCROW } = require("../config/economy");
+
+/**
+ * Coin escrow.
+ * - hold:    sender -> system   (escrow_hold, coins leave the sender's spendable balance)
+ * - release: system -> recipient (escrow_release)
+ * - refund:  system -> sender    (escrow_refund; on expiry, decline or dispute decision)
+ *
+ * Status changes are claimed with a conditional update first ("releasing"/"refunding"),
+ * so an escrow can only ever be paid out once.
+ */
+
+const OPEN_STATUSES = ["held", "disputed"];
+
+// a claim older than this without a finished ledger write is recovered by the sweep
+const STUCK_AFTER_MS = 5 * 60 * 1000;
+
+async function createEscrow({ sender, recipient, amount, note = "", expiresInHours }) {
+  const amt = Number(amount);
+  if (!Number.isInteger(amt) || amt < ESCROW.minAmount) {
+    return { ok: false, status: 400, error: `Amount must be a whole number >= ${ESCROW.minAmount}` };
+  }
+  if (String(sender._id) === String(recipient._id)) {
+    return { ok: false, status: 400, error: "Cannot create an escrow for yourself" };
+  }
+
+  const hours = expiresInHours == null ? ESCROW.defaultExpiryHours : Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > ESCROW.maxExpiryHours) {
+    return { ok: false, status: 400, error: `Expiry must be between 0 and ${ESCROW.maxExpiryHours} hours` };
+  }
+
+  const lim = await reserveTransfer(sender, recipient, amt);
+  if (!lim.ok) return lim;
+
+  const escrowId = new mongoose.Types.ObjectId();
+  let held;
+  try {
+    held = await debit({
+      userId: sender._id,
+      amount: amt,
+      type: "escrow_hold",
+      description: `Escrow hold for ${recipient.username}`,
+      filter: { "bans.isBannedFromCoins": { $ne: true }, isDeleted: { $ne: true } },
+      refs: { counterpartyUserId: recipient._id, escrowId }
+    });
+  } finally {
+    if (!held?.ok) {
+      await releaseTransfer(lim.reservation).catch((e) => console.error("transfer limit release error:", e.message));
+    }
+  }
+  if (!held.ok) return held;
+
+  try {
+    const escrow = await Escrow.create({
+      _id: escrowId,
+      senderUserId: sender._id,
+      senderUsername: sender.username,
+      recipientUserId: recipient._id,
+      recipientUsername: recipient.username,
+      amount: amt,
+      note: String(note || "").slice(0, 300),
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+    return { ok: true, escrow, coins: held.fromUser.coins };
+  } catch (err) {
+    // give the coins back, the escrow was never created
+    await credit({
+      userId: sender._id,
+      amount: amt,
+      type: "escrow_refund",
+      description: "Escrow creation failed",
+      refs: { counterpartyUserId: recipient._id, escrowId }
+    });
+    throw err;
+  }
+}
+
+/**
+ * Pay out an open escrow to the recipient ("release") or back to the sender ("refund").
+ * fromStatuses limits which states may be settled by this caller.
+ */
+async function settleEscrow(escrowId, outcome, { fromStatuses = OPEN_STATUSES, actor = null, note = "", resolution = false } = {}) {
+  const release = outcome === "release";
+  const claimed = await Escrow.findOneAndUpdate(
+    { _id: escrowId, status: { $in: fromStatuses } },
+    { $set: { status: release ? "releasing" : "refunding", statusChangedAt: new Date() } }
+  ); // returns the document before the update
+  if (!claimed) return { ok: false, status: 409, error: "Escrow is not open" };
+
+  const paid = await credit({
+    userId: release ? claimed.recipientUserId : claimed.senderUserId,
+    amount: claimed.amount,
+    type: release ? "escrow_release" : "escrow_refund",
+    description: release
+      ? `Escrow from ${claimed.senderUsername}`
+      : `Escrow refund (${claimed.recipientUsername})`,
+    actor,
+    // the sender always gets their own coins back; the recipient must be able to receive
+    filter: release ? { "bans.isBannedFromCoins": { $ne: true }, isDeleted: { $ne: true } } : undefined,
+    refs: {
+      counterpartyUserId: release ? claimed.senderUserId : claimed.recipientUserId,
+      escrowId: claimed._id
+    }
+  });
+
+  if (!paid.ok) {
+    await Escrow.updateOne(
+      { _id: claimed._id },
+      { $set: { status: claimed.status, statusChangedAt: new Date() } }
+    );
+    return paid;
+  }
+
+  const $set = { status: release ? "released" : "refunded", statusChangedAt: new Date(), closedAt: new Date() };
+  if (resolution && actor) {
+    $set.resolution = {
+      byUserId: actor._id,
+      byUsername: actor.username,
+      outcome,
+      note: String(note || "").slice(0, 300),
+      at: new Date()
+    };
+  }
+  const escrow = await Escrow.findByIdAndUpdate(claimed._id, { $set }, { new: true });
+  if (release) {
+    checkAchievementsSoon(claimed.recipientUserId);
+    checkAchievementsSoon(claimed.senderUserId);
+  }
+
+  return { ok: true, escrow };
+}
+
+async function openDispute(escrowId, user, reason) {
+  const escrow = await Escrow.findOneAndUpdate(
+    {
+      _id: escrowId,
+      status: "held",
+      expiresAt: { $gt: new Date() },
+      $or: [{ senderUserId: user._id }, { recipientUserId: user._id }]
+    },
+    {
+      $set: {
+        status: "disputed",
+        statusChangedAt: new Date(),
+        dispute: {
+          openedByUserId: user._id,
+          openedByUsername: user.username,
+          reason: String(reason || "").slice(0, 500),
+          openedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!escrow) return { ok: false, status: 409, error: "Escrow cannot be disputed" };
+  return { ok: true, escrow };
+}
+
+/**
+ * Coins this user has locked in open escrows, and coins waiting for them.
+ */
+async function escrowTotals(userId) {
+  const rows = await Escrow.aggregate([
+    {
+      $match: {
+        status: { $in: [...OPEN_STATUSES, "releasing", "refunding"] },
+        $or: [{ senderUserId: userId }, { recipientUserId: userId }]
+      }
+    },
+    {
+      $group: {
+        _id: { $cond: [{ $eq: ["$senderUserId", userId] }, "held", "incoming"] },
+        total: { $sum: "$amount" }
+      }
+    }
+  ]);
+
+  const out = { held: 0, incoming: 0 };
+  for (const r of rows) out[r._id] = r.total;
+  return out;
+}
+
+/**
+ * Refund expired escrows (disputed ones wait for a mod/admin) and recover
+ * escrows left half-settled by a crash.
+ */
+async function sweepEscrows() {
+  const now = new Date();
+
+  const expired = await Escrow.find({ status: "held", expiresAt: { $lte: now } }, "_id").lean();
+  for (const e of expired) {
+    const r = await settleEscrow(e._id, "refund", { fromStatuses: ["held"] });
+    if (!r.ok && r.status !== 409) console.error("escrow expiry refund failed:", e._id.toString(), r.error);
+  }
+
+  const stuck = await Escrow.find(
+    {
+      status: { $in: ["releasing", "refunding"] },
+      statusChangedAt: { $lte: new Date(now.getTime() - STUCK_AFTER_MS) }
+    }
+  ).lean();
+  for (const e of stuck) {
+    const type = e.status === "releasing" ? "escrow_release" : "escrow_refund";
+    const paid = await CoinTransaction.exists({ escrowId: e._id, type });
+    await Escrow.updateOne(
+      { _id: e._id, status: e.status },
+      paid
+        ? { $set: { status: e.status === "releasing" ? "released" : "refunded", closedAt: now, statusChangedAt: now } }
+        : { $set: { status: e.dispute ? "disputed" : "held", statusChangedAt: now } }
+    );
+  }
+
+  return { refunded: expired.length, recovered: stuck.length };
+}
+
+let sweepTimer = null;
+
+function startEscrowSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    sweepEscrows().catch((err) => console.error("escrow sweep error:", err.message));
+  }, ESCROW.sweepIntervalMs);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  createEscrow,
+  settleEscrow,
+  openDispute,
+  escrowTotals,
+  sweepEscrows,
+  startEscrowSweeper,
+  OPEN_STATUSES
+};
@@ -1,30 +1,9 @@
-const User = require("../models/User");
-const { FEATURE_MILESTONES } = require("../config/features");
+const { recordStat } = require("./progression");
+const { checkAchievements } = require("./achievements");
 
 /**
- * Award AP once per unique code (prevents double-paying).
- * Uses a query condition so it's safe even if two requests happen at the same time.
- */
-async function awardApOnce(userId, code, apAmount, meta = {}) {
-  const cleanCode = String(code || "").trim();
-  const ap = Number(apAmount) || 0;
-
-  if (!cleanCode || ap <= 0) return { ok: false, awarded: false };
-
-  const res = await User.updateOne(
-    { _id: userId, awardedAchievements: { $ne: cleanCode } },
-    {
-      $addToSet: { awardedAchievements: cleanCode },
-      $inc: { achievementPoints: ap }
-    }
-  );
-
-  const modified = res.modifiedCount ?? res.nModified ?? 0;
-  return { ok: true, awarded: modified === 1 };
-}
-
-/**
- * Increment a stat and award AP milestones when thresholds are met.
+ * Increment a stat, grant the AP milestones it reached (config/features.js) and
+ * re-check rule-based achievements (stats.* triggers).
  * Used by DM + Groups routes:
  *   recordFeatureAction(userId, "chat", "dmMessagesSent", 1)
  */
@@ -36,36 +15,12 @@ async function recordFeatureAction(userId, featureKey, statKey, delta = 1) {
   const sKey = String(statKey || "").trim();
   if (!fKey || !sKey) return;
 
-  // Increment stat
-  const user = await User.findByIdAndUpdate(
-    userId,
-    { $inc: { [`stats.${sKey}`]: d } },
-    { new: true, select: "stats awardedAchievements achievementPoints" }
-  ).lean();
-
-  const newValue = Number(user?.stats?.[sKey] || 0);
-
-  // Award milestones (if configured)
-  const milestones = FEATURE_MILESTONES?.[fKey]?.[sKey] || [];
-  for (const m of milestones) {
-    if (!m || typeof m !== "object") continue;
-
-    const count = Number(m.count);
-    const ap = Number(m.ap);
-    const code = String(m.code || "").trim();
-
-    if (!code || !Number.isFinite(count) || !Number.isFinite(ap)) continue;
+  const newValue = await recordStat(userId, fKey, sKey, d);
+  if (newValue === null) return;
 
-    if (newValue >= count) {
-      await awardApOnce(userId, code, ap, {
-        featureKey: fKey,
-        statKey: sKey,
-        countReached: count
-      });
-    }
-  }
+  await checkAchievements(userId, { skipLedger: true });
 
   return { ok: true, stat: sKey, value: newValue };
 }
 
-module.exports = { recordFeatureAction, awardApOnce };
\ No newline at end of file
+module.exports = { recordFeatureAction };
\ No newline at end of file
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+// How long a stored response is replayed (hours). Configurable via env.
+const WINDOW_MS = Number(process.env.IDEMPOTENCY_WINDOW_HOURS || 24) * 60 * 60 * 1000;
+
+// A "pending" key older than this is treated as abandoned (e.g. server crashed mid-request)
+const PENDING_TIMEOUT_MS = 60 * 1000;
+
+const MAX_KEY_LENGTH = 200;
+
+function hashRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(req.method + " " + req.baseUrl + req.path + " " + JSON.stringify(req.body || {}))
+    .digest("hex");
+}
+
+/**
+ * Reserve (userId, key). Returns the existing record if someone already did,
+ * or null if this request now owns the key.
+ */
+async function reserve(userId, key, requestHash) {
+  const now = Date.now();
+  try {
+    await IdempotencyKey.create({
+      userId,
+      key,
+      requestHash,
+      state: "pending",
+      createdAt: new Date(now),
+      expiresAt: new Date(now + WINDOW_MS)
+    });
+    return null;
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key }).lean();
+  if (!existing) return reserve(userId, key, requestHash); // TTL removed it in between
+
+  const expired = existing.expiresAt && existing.expiresAt.getTime() <= now;
+  const abandoned =
+    existing.state === "pending" && now - existing.createdAt.getTime() > PENDING_TIMEOUT_MS;
+
+  if (expired || abandoned) {
+    // take the key over (conditional so only one retry wins)
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, state: existing.state, createdAt: existing.createdAt },
+      {
+        $set: {
+          requestHash,
+          state: "pending",
+          statusCode: 0,
+          body: null,
+          createdAt: new Date(now),
+          expiresAt: new Date(now + WINDOW_MS)
+        }
+      }
+    );
+    if (taken) return null;
+    return IdempotencyKey.findOne({ userId, key }).lean();
+  }
+
+  return existing;
+}
+
+/**
+ * Idempotency-Key middleware for coin-spending endpoints.
+ * Must run after loadUser (keys are scoped per user).
+ *
+ * - no header: request runs normally
+ * - first request with a key: runs, and its response is stored for the window
+ * - same key + same body: stored response is replayed, nothing is re-executed
+ * - same key + different body, or first request still running: 409
+ *
+ * 5xx responses are not stored, so the client can retry with the same key.
+ */
+async function idempotent(req, res, next) {
+  const raw = req.get("Idempotency-Key");
+  if (raw === undefined) return next();
+
+  const key = String(raw).trim();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: "Invalid Idempotency-Key header" });
+  }
+  if (!req.user) return res.status(401).json({ error: "Not logged in" });
+
+  try {
+    const requestHash = hashRequest(req);
+    const existing = await reserve(req.user._id, key, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res
+          .status(409)
+          .json({ error: "Idempotency-Key was already used for a different request" });
+      }
+      if (existing.state !== "done") {
+        return res
+          .status(409)
+          .json({ error: "A request with this Idempotency-Key is still being processed" });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    const userId = req.user._id;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      // store first, then send, so a fast retry never sees a half-finished key
+      const write =
+        res.statusCode >= 500
+          ? IdempotencyKey.deleteOne({ userId, key }).exec()
+          : IdempotencyKey.updateOne(
+              { userId, key },
+              {
+                $set: {
+                  state: "done",
+                  statusCode: res.statusCode,
+                  body: JSON.parse(JSON.stringify(body ?? null))
+                }
+              }
+            ).exec();
+      write
+        .catch((err) => console.error("idempotency store error:", err.message))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  } catch (err) {
+    console.error("idempotency error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+module.exports = { idempotent };
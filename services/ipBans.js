@@ -0,0 +1,310 @@
+const mongoose = require("mongoose");
+const IpBan = require("../models/IpBan");
+const { audit } = require("./audit");
+const { getClientIp } = require("./clientIp");
+const { parsePage, paginate } = require("./pagination");
+const { parseIp, parseCidr, buildRangeSet, inRangeSet } = require("./ipRanges");
+const { IP_BANS } = require("../config/ipBans");
+
+/**
+ * IP bans on single addresses and CIDR ranges (config/ipBans.js).
+ *
+ * checkIpBan runs on every request, so it never queries Mongo: it matches against
+ * an in-memory range set built from the active bans. Changes made here reload it
+ * right away; other instances pick them up within cacheRefreshMs. Expired bans
+ * stop matching when the next expiry passes and are deleted by the TTL index.
+ */
+
+let cache = null; // { set, count, loadedAt, nextExpiry }
+let loading = null;
+// ids of bans whose ip didn't parse, so each is logged once rather than on every reload
+const reportedBadIds = new Set();
+
+async function loadCache() {
+  const now = new Date();
+  const bans = await IpBan.find({ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }, "ip expiresAt").lean();
+
+  const ranges = [];
+  let nextExpiry = null;
+  for (const ban of bans) {
+    const range = parseCidr(ban.ip);
+    if (!range) {
+      const id = ban._id.toString();
+      if (!reportedBadIds.has(id)) {
+        reportedBadIds.add(id);
+        console.error(`IpBan ${id} with unparsable ip skipped:`, ban.ip);
+      }
+      continue;
+    }
+    ranges.push(range);
+    if (ban.expiresAt && (!nextExpiry || ban.expiresAt < nextExpiry)) nextExpiry = ban.expiresAt;
+  }
+
+  cache = {
+    set: buildRangeSet(ranges),
+    count: ranges.length,
+    loadedAt: Date.now(),
+    nextExpiry: nextExpiry ? nextExpiry.getTime() : null
+  };
+  return cache;
+}
+
+function refreshCache() {
+  if (!loading) loading = loadCache().finally(() => (loading = null));
+  return loading;
+}
+
+/**
+ * Reload after a change. Waits out a load already in flight, since it may have
+ * read the collection before the change.
+ */
+async function invalidateIpBans() {
+  if (loading) await loading.catch(() => {});
+  return refreshCache();
+}
+
+async function currentCache() {
+  const now = Date.now();
+  // a ban ran out: reload before answering so it stops matching on time
+  if (!cache || (cache.nextExpiry && now >= cache.nextExpiry)) return refreshCache();
+  if (now - cache.loadedAt >= IP_BANS.cacheRefreshMs) {
+    refreshCache().catch((err) => console.error("IP ban cache refresh error:", err.message));
+  }
+  return cache;
+}
+
+async function isIpBanned(ip) {
+  const addr = parseIp(ip);
+  if (!addr) return false;
+  return inRangeSet((await currentCache()).set, addr);
+}
+
+/**
+ * Express middleware: 403 for requests from a banned address or range.
+ */
+async function checkIpBan(req, res, next) {
+  try {
+    if (!(await isIpBanned(getClientIp(req)))) return next();
+    return res.status(403).json({ error: "This IP is banned." });
+  } catch (err) {
+    console.error("checkIpBan error:", err.message);
+    // IMPORTANT: don't send a 500 JSON here, just skip the check
+    // so we don't break login/register with "bad JSON" if something fails
+    return next();
+  }
+}
+
+// "alice, bob" or ["alice", "bob"] -> unique trimmed names
+function cleanUsernames(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  const names = [...new Set(list.map((n) => String(n).trim()).filter(Boolean))];
+  if (names.length > IP_BANS.maxUsernames) return null;
+  return names.map((n) => n.slice(0, 40));
+}
+
+/**
+ * Validate the editable fields. Keys left undefined are not changed.
+ *   reason         text
+ *   durationHours  hours from now; null / "" / 0 for a permanent ban
+ *   usernames      linked accounts, array or comma-separated
+ * Returns { ok, values } or { ok: false, status, error }.
+ */
+function cleanIpBanFields(body) {
+  const values = {};
+
+  if (body.reason !== undefined) {
+    values.reason = String(body.reason || "").trim().slice(0, IP_BANS.maxReasonLength);
+  }
+
+  if (body.durationHours !== undefined) {
+    const raw = body.durationHours;
+    if (raw === null || raw === "" || Number(raw) === 0) {
+      values.expiresAt = null;
+    } else {
+      const h = Number(raw);
+      if (!(h >= 1 && h <= IP_BANS.maxDurationHours)) {
+        return { ok: false, status: 400, error: `Duration must be between 1 and ${IP_BANS.maxDurationHours} hours` };
+      }
+      values.expiresAt = new Date(Date.now() + h * 60 * 60 * 1000);
+    }
+  }
+
+  if (body.usernames !== undefined) {
+    const names = cleanUsernames(body.usernames);
+    if (!names) return { ok: false, status: 400, error: `At most ${IP_BANS.maxUsernames} linked usernames` };
+    values.usernames = names;
+  }
+
+  return { ok: true, values };
+}
+
+/**
+ * Parse and vet a range to ban: valid, not wider than IP_BANS.minPrefix allows,
+ * and not covering the admin's own address.
+ */
+function checkRange(req, ip) {
+  const range = parseCidr(ip);
+  if (!range) return { ok: false, status: 400, error: "Invalid IP address or CIDR range" };
+
+  const minPrefix = IP_BANS.minPrefix[range.version];
+  if (range.prefix < minPrefix) {
+    return { ok: false, status: 400, error: `IPv${range.version} ranges can be at most /${minPrefix}` };
+  }
+  if (req && inRangeSet(buildRangeSet([range]), getClientIp(req))) {
+    return { ok: false, status: 400, error: "That range includes your own IP" };
+  }
+  return { ok: true, range };
+}
+
+/**
+ * Newest first. Filters:
+ *   ip        bans covering this address (not paged; there are few)
+ *   username  bans linked to this account
+ *   before, limit  paging
+ */
+async function listIpBans(query) {
+  if (query.ip) {
+    const addr = parseIp(query.ip);
+    if (!addr) return { ok: false, status: 400, error: "Invalid IP address" };
+    const all = await IpBan.find({}).sort({ _id: -1 }).lean();
+    const bans = all.filter((b) => {
+      const range = parseCidr(b.ip);
+      return range && inRangeSet(buildRangeSet([range]), addr);
+    });
+    return { ok: true, bans, nextCursor: null };
+  }
+
+  const page = parsePage(query, { defaultLimit: IP_BANS.defaultLimit, maxLimit: IP_BANS.maxLimit });
+  if (!page.ok) return page;
+
+  const filter = {};
+  if (query.username) filter.usernames = String(query.username).trim();
+
+  const { items, nextCursor } = await paginate(IpBan, filter, page);
+  return { ok: true, bans: items, nextCursor };
+}
+
+/**
+ * Create a ban { ip, reason?, durationHours?, usernames? }.
+ * Returns { ok, ban } or { ok: false, status, error }.
+ */
+async function createIpBan(req, body) {
+  const checked = checkRange(req, body.ip);
+  if (!checked.ok) return checked;
+
+  const cleaned = cleanIpBanFields(body);
+  if (!cleaned.ok) return cleaned;
+
+  const ip = checked.range.cidr;
+  const now = new Date();
+  if (await IpBan.exists({ ip, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] })) {
+    return { ok: false, status: 400, error: "That range is already banned" };
+  }
+  // an expired ban the TTL monitor hasn't removed yet would trip the unique index
+  await IpBan.deleteOne({ ip, expiresAt: { $ne: null, $lte: now } });
+
+  let ban;
+  try {
+    ban = await IpBan.create({
+      ip,
+      reason: "",
+      usernames: [],
+      expiresAt: null,
+      ...cleaned.values,
+      createdByUsername: req.user?.username || ""
+    });
+  } catch (err) {
+    // a parallel request banned it first
+    if (err?.code !== 11000) throw err;
+    return { ok: false, status: 400, error: "That range is already banned" };
+  }
+  await invalidateIpBans();
+
+  await audit({
+    req,
+    action: "ADMIN_IP_BAN_CREATE",
+    targetUsername: ban.usernames[0] || "",
+    details: { ip, reason: ban.reason, expiresAt: ban.expiresAt, usernames: ban.usernames }
+  });
+  return { ok: true, ban: ban.toObject() };
+}
+
+/**
+ * Change reason / duration / linked usernames. The range itself is fixed:
+ * delete and re-create to change it.
+ */
+async function updateIpBan(req, id, body) {
+  if (!mongoose.isValidObjectId(id)) return { ok: false, status: 400, error: "Invalid id" };
+  if (body.ip !== undefined) {
+    return { ok: false, status: 400, error: "The range can't be changed; delete the ban and create a new one" };
+  }
+
+  const cleaned = cleanIpBanFields(body);
+  if (!cleaned.ok) return cleaned;
+
+  const ban = await IpBan.findByIdAndUpdate(
+    id,
+    { $set: { ...cleaned.values, updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!ban) return { ok: false, status: 404, error: "IP ban not found" };
+  await invalidateIpBans();
+
+  await audit({
+    req,
+    action: "ADMIN_IP_BAN_UPDATE",
+    targetUsername: ban.usernames[0] || "",
+    details: { ip: ban.ip, changes: cleaned.values }
+  });
+  return { ok: true, ban };
+}
+
+async function deleteIpBan(req, id, reason = "") {
+  if (!mongoose.isValidObjectId(id)) return { ok: false, status: 400, error: "Invalid id" };
+
+  const ban = await IpBan.findByIdAndDelete(id).lean();
+  if (!ban) return { ok: false, status: 404, error: "IP ban not found" };
+  await invalidateIpBans();
+
+  await audit({
+    req,
+    action: "ADMIN_IP_BAN_DELETE",
+    targetUsername: ban.usernames[0] || "",
+    details: { ip: ban.ip, reason: String(reason || "").slice(0, IP_BANS.maxReasonLength), banReason: ban.reason }
+  });
+  return { ok: true, ban };
+}
+
+/**
+ * Permanently ban the address an account was last seen on (admin full ban).
+ * An existing ban on the same address is made permanent and gets the username
+ * linked. The caller audits the full ban itself.
+ */
+async function banUserIp(req, { ip, username, reason }) {
+  const checked = checkRange(req, ip);
+  if (!checked.ok) return checked;
+
+  const ban = await IpBan.findOneAndUpdate(
+    { ip: checked.range.cidr },
+    {
+      $set: { reason: String(reason || "").slice(0, IP_BANS.maxReasonLength), expiresAt: null, updatedAt: new Date() },
+      $addToSet: { usernames: username },
+      $setOnInsert: { createdByUsername: req.user?.username || "", createdAt: new Date() }
+    },
+    // schema defaults would collide with $addToSet on usernames
+    { upsert: true, new: true, setDefaultsOnInsert: false }
+  ).lean();
+  await invalidateIpBans();
+  return { ok: true, ban };
+}
+
+module.exports = {
+  checkIpBan,
+  isIpBanned,
+  invalidateIpBans,
+  listIpBans,
+  createIpBan,
+  updateIpBan,
+  deleteIpBan,
+  banUserIp
+};
@@ -0,0 +1,199 @@
+/**
+ * IPv4 / IPv6 address and CIDR helpers.
+ *
+ * Addresses are held as BigInt so both families work the same way. IPv4-mapped
+ * IPv6 addresses ("::ffff:1.2.3.4", which Node reports for IPv4 clients on a
+ * dual-stack socket) are treated as the IPv4 address.
+ */
+
+const BITS = { 4: 32, 6: 128 };
+const MAPPED_PREFIX = 0xffffn << 32n; // ::ffff:0:0/96
+
+function parseV4(str) {
+  const m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(str);
+  if (!m) return null;
+  let value = 0n;
+  for (let i = 1; i <= 4; i++) {
+    const octet = Number(m[i]);
+    if (octet > 255) return null;
+    value = (value << 8n) | BigInt(octet);
+  }
+  return value;
+}
+
+function parseV6(str) {
+  let text = str;
+
+  // trailing dotted IPv4 ("::ffff:1.2.3.4") becomes the last two groups
+  const lastColon = text.lastIndexOf(":");
+  if (text.includes(".", lastColon)) {
+    const v4 = parseV4(text.slice(lastColon + 1));
+    if (v4 === null) return null;
+    text = `${text.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+
+  let groups;
+  if (halves.length === 1) {
+    if (head.length !== 8) return null;
+    groups = head;
+  } else {
+    if (head.length + tail.length > 7) return null;
+    groups = [...head, ...Array(8 - head.length - tail.length).fill("0"), ...tail];
+  }
+
+  let value = 0n;
+  for (const g of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(g)) return null;
+    value = (value << 16n) | BigInt(parseInt(g, 16));
+  }
+  return value;
+}
+
+// { version, value } exactly as written (mapped addresses stay IPv6)
+function parseRaw(str) {
+  let text = String(str || "").trim();
+  if (text.startsWith("[") && text.endsWith("]")) text = text.slice(1, -1);
+  text = text.replace(/%.*$/, ""); // zone id (fe80::1%eth0)
+
+  if (text.includes(":")) {
+    const value = parseV6(text);
+    return value === null ? null : { version: 6, value };
+  }
+  const value = parseV4(text);
+  return value === null ? null : { version: 4, value };
+}
+
+function isMapped(ip) {
+  return ip.version === 6 && ip.value >> 32n === MAPPED_PREFIX >> 32n;
+}
+
+/**
+ * Parse an address. Returns { version: 4|6, value: BigInt } or null.
+ */
+function parseIp(str) {
+  const ip = parseRaw(str);
+  if (ip && isMapped(ip)) return { version: 4, value: ip.value & 0xffffffffn };
+  return ip;
+}
+
+function formatIp({ version, value }) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => ((value >> shift) & 0xffn).toString()).join(".");
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) groups.push(Number((value >> shift) & 0xffffn));
+
+  // "::" replaces the longest run of two or more zero groups
+  let bestStart = -1;
+  let bestLen = 1;
+  for (let i = 0; i < 8; ) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLen) {
+      bestStart = i;
+      bestLen = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map((g) => g.toString(16));
+  if (bestStart < 0) return hex.join(":");
+  return `${hex.slice(0, bestStart).join(":")}::${hex.slice(bestStart + bestLen).join(":")}`;
+}
+
+/**
+ * Parse "1.2.3.4", "10.0.0.0/8", "2001:db8::/32", ...
+ * Host bits are dropped ("10.1.2.3/8" is 10.0.0.0/8).
+ * Returns { version, prefix, start, end, cidr } or null. cidr is the normalized
+ * text, without a prefix for a single address.
+ */
+function parseCidr(str) {
+  const parts = String(str || "").trim().split("/");
+  if (parts.length > 2) return null;
+
+  const ip = parseRaw(parts[0]);
+  if (!ip) return null;
+
+  let version = ip.version;
+  let value = ip.value;
+  let prefix = BITS[version];
+  if (parts.length === 2) {
+    if (!/^\d{1,3}$/.test(parts[1])) return null;
+    prefix = Number(parts[1]);
+    if (prefix > BITS[version]) return null;
+  }
+
+  if (isMapped(ip) && prefix >= 96) {
+    version = 4;
+    value &= 0xffffffffn;
+    prefix -= 96;
+  }
+
+  const bits = BigInt(BITS[version]);
+  const hostMask = (1n << (bits - BigInt(prefix))) - 1n;
+  const start = value & ~hostMask & ((1n << bits) - 1n);
+  const end = start | hostMask;
+  const base = formatIp({ version, value: start });
+
+  return { version, prefix, start, end, cidr: prefix === BITS[version] ? base : `${base}/${prefix}` };
+}
+
+/**
+ * Index parsed ranges for lookups: per family, sorted and merged [start, end] pairs.
+ */
+function buildRangeSet(ranges) {
+  const set = { 4: [], 6: [] };
+  for (const version of [4, 6]) {
+    const sorted = ranges
+      .filter((r) => r.version === version)
+      .map((r) => [r.start, r.end])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+    for (const [start, end] of sorted) {
+      const last = set[version][set[version].length - 1];
+      if (last && start <= last[1] + 1n) {
+        if (end > last[1]) last[1] = end;
+      } else {
+        set[version].push([start, end]);
+      }
+    }
+  }
+  return set;
+}
+
+/**
+ * Is `ip` (string or parsed) inside the range set? Binary search, O(log n).
+ */
+function inRangeSet(set, ip) {
+  const addr = typeof ip === "string" ? parseIp(ip) : ip;
+  if (!addr) return false;
+
+  const list = set[addr.version];
+  let lo = 0;
+  let hi = list.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (addr.value < list[mid][0]) hi = mid - 1;
+    else if (addr.value > list[mid][1]) lo = mid + 1;
+    else return true;
+  }
+  return false;
+}
+
+module.exports = {
+  parseIp,
+  formatIp,
+  parseCidr,
+  buildRangeSet,
+  inRangeSet
+};
@@ -0,0 +1,247 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const CoinTransaction = require("../models/CoinTransaction");
+const ApTransaction = require("../models/ApTransaction");
+const ChatMessage = require("../models/ChatMessage");
+const GroupMessage = require("../models/GroupMessage");
+const BugReport = require("../models/BugReport");
+const { LEADERBOARDS } = require("../config/leaderboards");
+
+/**
+ * Leaderboards.
+ *
+ * All-time boards read a User field (coins, level, stats.*); weekly/monthly boards
+ * sum what happened inside the window (ledger entries, messages, resolved bugs).
+ * Equal scores share a rank ("1, 2, 2, 4"). Users with a score of 0 are not listed.
+ */
+
+// Only these accounts can appear on (or be ranked by) a board
+const ELIGIBLE = {
+  isDeleted: { $ne: true },
+  role: { $ne: "admin" },
+  "bans.isBannedFromChat": { $ne: true },
+  "bans.isBannedFromCoins": { $ne: true }
+};
+
+function isEligible(user) {
+  return (
+    !!user &&
+    !user.isDeleted &&
+    user.role !== "admin" &&
+    !user.bans?.isBannedFromChat &&
+    !user.bans?.isBannedFromCoins
+  );
+}
+
+// [{ _id: userId, total }] -> Map(userId -> total)
+function toMap(rows) {
+  return new Map(rows.filter((r) => r._id).map((r) => [r._id.toString(), r.total]));
+}
+
+function since$(since) {
+  return since ? { createdAt: { $gte: since } } : {};
+}
+
+async function countBy(Model, userField, match) {
+  return toMap(
+    await Model.aggregate([
+      { $match: match },
+      { $group: { _id: `$${userField}`, total: { $sum: 1 } } }
+    ])
+  );
+}
+
+// Net coins gained in the window (credits - debits; opening balances are not "gained")
+async function coinsInWindow(since) {
+  const [credits, debits] = await Promise.all([
+    CoinTransaction.aggregate([
+      { $match: { ...since$(since), toUserId: { $ne: null }, type: { $ne: "opening_balance" } } },
+      { $group: { _id: "$toUserId", total: { $sum: "$amount" } } }
+    ]),
+    CoinTransaction.aggregate([
+      { $match: { ...since$(since), fromUserId: { $ne: null }, type: { $ne: "opening_balance" } } },
+      { $group: { _id: "$fromUserId", total: { $sum: "$amount" } } }
+    ])
+  ]);
+  const net = toMap(credits);
+  for (const [id, total] of toMap(debits)) net.set(id, (net.get(id) || 0) - total);
+  return net;
+}
+
+// AP earned in the window (opening balances are not "earned")
+async function apInWindow(since) {
+  return toMap(
+    await ApTransaction.aggregate([
+      { $match: { ...since$(since), toUserId: { $ne: null }, type: { $ne: "opening_balance" } } },
+      { $group: { _id: "$toUserId", total: { $sum: "$amount" } } }
+    ])
+  );
+}
+
+/**
+ * Board registry.
+ *   field:    User path ranked for the all-time window
+ *   windowed: (since) => Map(userId -> score) for week/month (and all-time without `field`)
+ */
+const BOARDS = {
+  coins: {
+    title: "Coins",
+    field: "coins",
+    windowed: coinsInWindow
+  },
+  level: {
+    title: "Level",
+    field: "level",
+    // in a window: number of level-ups
+    windowed: (since) => countBy(CoinTransaction, "fromUserId", { ...since$(since), type: "level_up" })
+  },
+  achievementPoints: {
+    title: "Achievement points",
+    field: "achievementPoints",
+    windowed: apInWindow
+  },
+  dmMessagesSent: {
+    title: "Direct messages sent",
+    field: "stats.dmMessagesSent",
+    windowed: (since) => countBy(ChatMessage, "fromUserId", since$(since))
+  },
+  groupMessagesSent: {
+    title: "Group messages sent",
+    field: "stats.groupMessagesSent",
+    windowed: (since) => countBy(GroupMessage, "fromUserId", since$(since))
+  },
+  bugsResolved: {
+    title: "Bug reports resolved",
+    windowed: (since) =>
+      countBy(BugReport, "creatorUserId", {
+        status: "resolved",
+        ...(since ? { resolvedAt: { $gte: since } } : {})
+      })
+  }
+};
+
+function listBoards() {
+  return Object.entries(BOARDS).map(([key, b]) => ({ key, title: b.title }));
+}
+
+function windowStart(window, now = new Date()) {
+  const days = LEADERBOARDS.windows[window];
+  return days ? new Date(now.getTime() - days * 24 * 60 * 60 * 1000) : null;
+}
+
+function readField(doc, path) {
+  return path.split(".").reduce((v, k) => (v == null ? v : v[k]), doc);
+}
+
+// Sorted rows -> rows with shared ranks for equal scores
+function withRanks(rows) {
+  let prev = null;
+  return rows.map((r, i) => {
+    const rank = prev && prev.score === r.score ? prev.rank : i + 1;
+    prev = { ...r, rank };
+    return prev;
+  });
+}
+
+function publicRow(r) {
+  return { rank: r.rank, username: r.username, level: r.level, score: r.score };
+}
+
+// board:window -> { at, rows } (rows: ranked list of every listed user for windowed boards,
+// top maxLimit for all-time field boards)
+const cache = new Map();
+
+async function rankedRows(key, window) {
+  const cacheKey = `${key}:${window}`;
+  const hit = cache.get(cacheKey);
+  if (hit && Date.now() - hit.at < LEADERBOARDS.cacheSeconds * 1000) return hit.rows;
+
+  const board = BOARDS[key];
+  const since = windowStart(window);
+  let rows;
+
+  if (!since && board.field) {
+    const users = await User.find(
+      { ...ELIGIBLE, [board.field]: { $gt: 0 } },
+      `username level ${board.field}`
+    )
+      .sort({ [board.field]: -1, _id: 1 })
+      .limit(LEADERBOARDS.maxLimit)
+      .lean();
+    rows = users.map((u) => ({
+      userId: u._id.toString(),
+      username: u.username,
+      level: u.level,
+      score: Number(readField(u, board.field)) || 0
+    }));
+  } else {
+    const scores = await board.windowed(since);
+    const ids = [...scores.keys()].filter((id) => scores.get(id) > 0);
+    const users = await User.find(
+      { ...ELIGIBLE, _id: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) } },
+      "username level"
+    ).lean();
+    rows = users
+      .map((u) => ({
+        userId: u._id.toString(),
+        username: u.username,
+        level: u.level,
+        score: scores.get(u._id.toString())
+      }))
+      .sort((a, b) => b.score - a.score || (a.userId < b.userId ? -1 : 1));
+  }
+
+  rows = withRanks(rows);
+  cache.set(cacheKey, { at: Date.now(), rows });
+  return rows;
+}
+
+// Caller's own rank, also when they are outside the cached top list
+async function ownRank(key, window, user, rows) {
+  if (!isEligible(user)) return null;
+  const id = user._id.toString();
+
+  const listed = rows.find((r) => r.userId === id);
+  if (listed) return { rank: listed.rank, score: listed.score };
+
+  const board = BOARDS[key];
+  if (windowStart(window) || !board.field) {
+    // windowed rows hold every scored user, so not listed = no score yet
+    return { rank: null, score: 0 };
+  }
+
+  const score = Number(readField(user, board.field)) || 0;
+  if (score <= 0) return { rank: null, score: 0 };
+  const above = await User.countDocuments({ ...ELIGIBLE, [board.field]: { $gt: score } });
+  return { rank: above + 1, score };
+}
+
+/**
+ * One board. Returns { ok, board, title, window, since, entries, me } or { ok: false, status, error }.
+ */
+async function getLeaderboard(key, { window = "all", limit, user } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(BOARDS, key)) {
+    return { ok: false, status: 404, error: "Unknown leaderboard" };
+  }
+  if (!Object.prototype.hasOwnProperty.call(LEADERBOARDS.windows, window)) {
+    return { ok: false, status: 400, error: "Invalid window" };
+  }
+
+  const n = Math.min(
+    Math.max(1, Number.parseInt(limit, 10) || LEADERBOARDS.defaultLimit),
+    LEADERBOARDS.maxLimit
+  );
+
+  const rows = await rankedRows(key, window);
+  return {
+    ok: true,
+    board: key,
+    title: BOARDS[key].title,
+    window,
+    since: windowStart(window),
+    entries: rows.slice(0, n).map(publicRow),
+    me: user ? await ownRank(key, window, user, rows) : null
+  };
+}
+
+module.exports = { listBoards, getLeaderboard };
@@ -0,0 +1,411 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const CoinTransaction = require("../models/CoinTransaction");
+const ApTransaction = require("../models/ApTransaction");
+const LedgerOpening = require("../models/LedgerOpening");
+const { reserveTransfer, releaseTransfer } = require("./transferLimits");
+
+/**
+ * Coin ledger.
+ *
+ * Every coin movement goes through here so that a balance change and its
+ * CoinTransaction entry always happen together:
+ *   - fromUserId = account that is debited (empty = system / coins minted)
+ *   - toUserId   = account that is credited (empty = system / coins spent)
+ *
+ * So for any user: coins === sum(credits) - sum(debits).
+ * `reconcile()` recomputes that and reports drift.
+ *
+ * Achievement points use the same machinery with currency "ap"
+ * (User.achievementPoints + ApTransaction).
+ *
+ * Balances are changed with conditional $inc updates (coins >= amount), so they
+ * can never go negative. When MongoDB supports transactions (replica set / Atlas)
+ * all writes run in one transaction; on a standalone server we fall back to
+ * sequential writes and undo the earlier ones if a later one fails.
+ */
+
+// null = not probed yet, then true/false after the first ledger write
+let transactionsSupported = null;
+
+class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function isTransactionUnsupported(err) {
+  const msg = String(err?.message || "");
+  return (
+    err?.code === 20 ||
+    msg.includes("Transaction numbers are only allowed") ||
+    msg.includes("does not support transactions")
+  );
+}
+
+async function withTransaction(work) {
+  if (transactionsSupported !== false) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      transactionsSupported = true;
+      return result;
+    } catch (err) {
+      if (!isTransactionUnsupported(err)) throw err;
+      transactionsSupported = false;
+      console.warn("ledger: MongoDB transactions unavailable, using compensating writes");
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return work(null);
+}
+
+const CURRENCIES = {
+  coins: { field: "coins", Model: CoinTransaction, notEnough: "Not enough coins" },
+  ap: { field: "achievementPoints", Model: ApTransaction, notEnough: "Not enough AP" }
+};
+
+function currencyOf(name) {
+  const c = CURRENCIES[name || "coins"];
+  if (!c) throw new LedgerError("Unknown currency");
+  return c;
+}
+
+function cleanAmount(amount) {
+  const amt = Number(amount);
+  if (!Number.isFinite(amt) || amt < 0) throw new LedgerError("Invalid amount");
+  return amt;
+}
+
+/**
+ * Apply one side of a movement to a user document.
+ * side = { userId, filter, update, revert }
+ *   filter/update: extra conditions/changes applied in the same atomic update
+ *   revert: update that undoes `update` (only used without transactions)
+ */
+async function applySide(side, delta, session, undo, failMessage, field = "coins") {
+  const filter = { _id: side.userId, ...(side.filter || {}) };
+  if (delta < 0) filter[field] = { $gte: -delta };
+
+  const update = { ...(side.update || {}) };
+  if (delta !== 0) update.$inc = { ...(update.$inc || {}), [field]: delta };
+
+  // nothing to change (e.g. a free admin level-up still gets a ledger entry)
+  if (!Object.keys(update).length) {
+    const user = await User.findOne(filter, null, { session }).lean();
+    if (!user) throw new LedgerError(failMessage);
+    return user;
+  }
+
+  const user = await User.findOneAndUpdate(filter, update, {
+    new: true,
+    session
+  }).lean();
+  if (!user) throw new LedgerError(failMessage);
+
+  undo.push(() => {
+    const back = { ...(side.revert || {}) };
+    if (delta !== 0) back.$inc = { ...(back.$inc || {}), [field]: -delta };
+    if (!Object.keys(back).length) return null;
+    return User.updateOne({ _id: side.userId }, back);
+  });
+
+  return user;
+}
+
+/**
+ * Core movement: debit `from` (optional), credit `to` (optional), write one entry.
+ * refs = { counterpartyUserId, escrowId } for movements that pass through the system.
+ * Returns { ok: true, tx, fromUser, toUser } or { ok: false, status, error }.
+ */
+async function move({ from = null, to = null, amount, type, description = "", actor = null, refs = {}, currency }) {
+  try {
+    const amt = cleanAmount(amount);
+    if (!from && !to) throw new LedgerError("Movement needs a source or a target");
+    const { field, Model, notEnough } = currencyOf(currency);
+
+    const result = await withTransaction(async (session) => {
+      const undo = [];
+      try {
+        const fromUser = from
+          ? await applySide(from, -amt, session, undo, from.failMessage || notEnough, field)
+          : null;
+        const toUser = to
+          ? await applySide(to, amt, session, undo, to.failMessage || "Target user cannot receive coins", field)
+          : null;
+
+        const [tx] = await Model.create(
+          [
+            {
+              type,
+              fromUserId: fromUser?._id,
+              fromUsername: fromUser?.username || "",
+              toUserId: toUser?._id,
+              toUsername: toUser?.username || "",
+              actorUserId: actor?._id,
+              actorUsername: actor?.username || "",
+              counterpartyUserId: refs.counterpartyUserId,
+              escrowId: refs.escrowId,
+              amount: amt,
+              description: String(description || "").slice(0, 300)
+            }
+          ],
+          { session }
+        );
+
+        return { tx, fromUser, toUser };
+      } catch (err) {
+        if (!session) {
+          for (const fn of undo.reverse()) {
+            await Promise.resolve(fn()).catch((e) =>
+              console.error("ledger undo error:", e.message)
+            );
+          }
+        }
+        throw err;
+      }
+    });
+
+    return { ok: true, ...result };
+  } catch (err) {
+    if (err instanceof LedgerError) {
+      return { ok: false, status: err.status, error: err.message };
+    }
+    throw err;
+  }
+}
+
+/**
+ * User -> user transfer. Coin-banned or deleted users can neither send nor receive.
+ * The daily transfer limits (config/economy.js) are taken out of the sender's allowance
+ * before the move and given back if it fails.
+ */
+async function transfer({ fromUserId, toUserId, amount, type = "transfer", description = "" }) {
+  if (String(fromUserId) === String(toUserId)) {
+    return { ok: false, status: 400, error: "Cannot send coins to yourself" };
+  }
+
+  const [sender, recipient] = await Promise.all([
+    User.findById(fromUserId, "role level createdAt").lean(),
+    User.findById(toUserId, "_id").lean()
+  ]);
+  if (!sender || !recipient) return { ok: false, status: 404, error: "User not found" };
+
+  const lim = await reserveTransfer(sender, recipient, amount);
+  if (!lim.ok) return lim;
+
+  let result;
+  try {
+    result = await move({
+      from: {
+        userId: fromUserId,
+        filter: { "bans.isBannedFromCoins": { $ne: true }, isDeleted: { $ne: true } }
+      },
+      to: {
+        userId: toUserId,
+        filter: { "bans.isBannedFromCoins": { $ne: true }, isDeleted: { $ne: true } }
+      },
+      amount,
+      type,
+      description
+    });
+  } finally {
+    // the coins didn't move: give the allowance back
+    if (!result?.ok) {
+      await releaseTransfer(lim.reservation).catch((e) => console.error("transfer limit release error:", e.message));
+    }
+  }
+  return result;
+}
+
+/**
+ * Take coins (or AP with currency: "ap") from a user (level_up, feature_purchase, admin_adjust < 0).
+ * filter/update/revert let the caller change the same document atomically,
+ * e.g. { filter: { level: 2 }, update: { $set: { level: 3 } }, revert: { $set: { level: 2 } } }.
+ */
+async function debit({ userId, amount, type, description = "", actor = null, filter, update, revert, failMessage, refs, currency }) {
+  return move({
+    from: { userId, filter, update, revert, failMessage },
+    amount,
+    type,
+    description,
+    actor,
+    refs,
+    currency
+  });
+}
+
+/**
+ * Give coins (or AP with currency: "ap") to a user (achievement_reward, admin_adjust > 0).
+ */
+async function credit({ userId, amount, type, description = "", actor = null, filter, update, revert, failMessage, refs, currency }) {
+  return move({
+    to: { userId, filter, update, revert, failMessage: failMessage || "User not found" },
+    amount,
+    type,
+    description,
+    actor,
+    refs,
+    currency
+  });
+}
+
+// admin_adjust rows written before this ledger: from = admin, to = target and an
+// absolute amount, with the sign only in the description ("Admin adjust (-50)")
+const LEGACY_ADMIN_ADJUST = { type: "admin_adjust", fromUserId: { $ne: null }, toUserId: { $ne: null } };
+
+/**
+ * Ledger balance per user id (Map of string id -> balance) for a currency.
+ * Legacy admin_adjust rows count for the target only, with their real sign.
+ */
+async function ledgerBalances(currency) {
+  const { Model } = CURRENCIES[currency || "coins"];
+  const [credits, debits, legacy] = await Promise.all([
+    Model.aggregate([
+      { $match: { toUserId: { $ne: null }, $nor: [LEGACY_ADMIN_ADJUST] } },
+      { $group: { _id: "$toUserId", total: { $sum: "$amount" } } }
+    ]),
+    Model.aggregate([
+      { $match: { fromUserId: { $ne: null }, $nor: [LEGACY_ADMIN_ADJUST] } },
+      { $group: { _id: "$fromUserId", total: { $sum: "$amount" } } }
+    ]),
+    Model.aggregate([
+      { $match: LEGACY_ADMIN_ADJUST },
+      {
+        $group: {
+          _id: "$toUserId",
+          total: {
+            $sum: {
+              $cond: [
+                { $regexMatch: { input: "$description", regex: /^Admin adjust \(-/ } },
+                { $multiply: ["$amount", -1] },
+                "$amount"
+              ]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const balances = new Map();
+  for (const c of credits) balances.set(String(c._id), c.total);
+  for (const l of legacy) {
+    const key = String(l._id);
+    balances.set(key, (balances.get(key) || 0) + l.total);
+  }
+  for (const d of debits) {
+    const key = String(d._id);
+    balances.set(key, (balances.get(key) || 0) - d.total);
+  }
+  return balances;
+}
+
+/**
+ * Recompute every user's balance from the ledger and compare with the stored balance
+ * (User.coins, or User.achievementPoints for currency "ap").
+ * Returns { checked, drift: [{ userId, username, coins, ledgerBalance, diff }] }
+ * (`coins` is the stored balance of the checked currency).
+ */
+async function reconcile({ currency } = {}) {
+  const { field } = CURRENCIES[currency || "coins"];
+  const ledgerBalance = await ledgerBalances(currency);
+
+  const drift = [];
+  let checked = 0;
+
+  const cursor = User.find({}, `username ${field}`).lean().cursor();
+  for await (const u of cursor) {
+    checked++;
+    const expected = ledgerBalance.get(String(u._id)) || 0;
+    const coins = Number(u[field]) || 0;
+    if (coins !== expected) {
+      drift.push({
+        userId: String(u._id),
+        username: u.username,
+        coins,
+        ledgerBalance: expected,
+        diff: coins - expected
+      });
+    }
+  }
+
+  return { checked, drift };
+}
+
+/**
+ * Claim the one-time opening of a currency's ledger. Only the call that inserts
+ * the LedgerOpening document gets true, so instances starting together don't
+ * both write opening balances.
+ */
+async function claimLedgerOpening(currency) {
+  await LedgerOpening.init(); // the unique index has to exist before the claim
+  try {
+    await LedgerOpening.create({ currency });
+    return true;
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    return false;
+  }
+}
+
+/**
+ * Coins existed before this ledger, and the old per-route entries don't add up to
+ * the balances (missing rows, rows written for moves that didn't happen). Once,
+ * give every user whose balance differs from their ledger an opening_balance entry
+ * for the difference; drift that shows up later is still reported by reconcile.
+ * Safe to run on every start.
+ */
+async function openCoinLedger() {
+  if (!(await claimLedgerOpening("coins"))) return 0;
+
+  const { drift } = await reconcile({ currency: "coins" });
+  for (const d of drift) {
+    const side = d.diff > 0
+      ? { toUserId: d.userId, toUsername: d.username }
+      : { fromUserId: d.userId, fromUsername: d.username };
+    await CoinTransaction.create({
+      type: "opening_balance",
+      ...side,
+      amount: Math.abs(d.diff),
+      description: "Coin balance before the coin ledger"
+    });
+  }
+
+  if (drift.length) console.log(`Opened coin ledger for ${drift.length} user(s)`);
+  return drift.length;
+}
+
+/**
+ * AP existed before its ledger: once, give every user with AP but no AP ledger
+ * entries an opening_balance entry for their current balance. Safe to run on
+ * every start.
+ */
+async function openApLedger() {
+  if (!(await claimLedgerOpening("ap"))) return 0;
+
+  const users = await User.find({ achievementPoints: { $gt: 0 } }, "username achievementPoints").lean();
+  let opened = 0;
+  for (const u of users) {
+    const has = await ApTransaction.exists({ $or: [{ toUserId: u._id }, { fromUserId: u._id }] });
+    if (has) continue;
+    await ApTransaction.create({
+      type: "opening_balance",
+      toUserId: u._id,
+      toUsername: u.username,
+      amount: u.achievementPoints,
+      description: "AP balance before the AP ledger"
+    });
+    opened++;
+  }
+  if (opened) console.log(`Opened AP ledger for ${opened} user(s)`);
+  return opened;
+}
+
+module.exports = { transfer, debit, credit, reconcile, openApLedger, openCoinLedger };
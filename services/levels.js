@@ -0,0 +1,109 @@
+const { COST_CURVE, PERKS, LEVELS } = require("../config/levels");
+
+/**
+ * Level registry (config/levels.js) with costs resolved from the cost curve
+ * and perks accumulated from every level below.
+ */
+
+function curveCost(level) {
+  return Math.round(COST_CURVE.base * Math.pow(COST_CURVE.growth, level - 2));
+}
+
+const RESOLVED = [...LEVELS]
+  .sort((a, b) => a.level - b.level)
+  .map((def, i, all) => ({
+    level: def.level,
+    title: def.title || `Level ${def.level}`,
+    cost: def.level === 1 ? 0 : def.cost ?? curveCost(def.level),
+    perks: def.perks || [],
+    allPerks: [...new Set(all.slice(0, i + 1).flatMap((d) => d.perks || []))],
+    content: def.content || ""
+  }));
+
+const BY_LEVEL = new Map(RESOLVED.map((l) => [l.level, l]));
+
+function listLevels() {
+  return RESOLVED;
+}
+
+function getLevel(level) {
+  return BY_LEVEL.get(Number(level)) || null;
+}
+
+function maxLevel() {
+  return RESOLVED[RESOLVED.length - 1].level;
+}
+
+function isValidLevel(level) {
+  return Number.isInteger(level) && BY_LEVEL.has(level);
+}
+
+/**
+ * Coins to go from `fromLevel` up to `toLevel` (sum of each step's cost).
+ */
+function levelUpCost(fromLevel, toLevel) {
+  return RESOLVED.filter((l) => l.level > fromLevel && l.level <= toLevel).reduce(
+    (sum, l) => sum + l.cost,
+    0
+  );
+}
+
+// Lowest level that grants `perk` (null if no level does)
+function perkLevel(perk) {
+  const found = RESOLVED.find((l) => l.perks.includes(perk));
+  return found ? found.level : null;
+}
+
+function hasLevelPerk(user, perk) {
+  const needed = perkLevel(perk);
+  if (needed === null) return false;
+  return (Number(user?.level) || 1) >= needed;
+}
+
+function levelPerkError(perk) {
+  return `Level ${perkLevel(perk)} required to ${PERKS[perk] || perk}`;
+}
+
+function perksFor(user) {
+  return getLevel(Number(user?.level) || 1)?.allPerks || [];
+}
+
+/**
+ * Middleware: user's level must include `perk`. Use after loadUser.
+ */
+function requireLevelPerk(perk) {
+  if (perkLevel(perk) === null) throw new Error(`Unknown level perk: ${perk}`);
+
+  return function (req, res, next) {
+    if (!req.user) return res.status(401).json({ error: "Not logged in" });
+    if (!hasLevelPerk(req.user, perk)) {
+      return res.status(403).json({ error: levelPerkError(perk) });
+    }
+    next();
+  };
+}
+
+// Public shape for GET /api/levels and the level pages
+function publicLevel(l) {
+  return {
+    level: l.level,
+    title: l.title,
+    cost: l.cost,
+    perks: l.perks.map((key) => ({ key, description: PERKS[key] || key })),
+    content: l.content
+  };
+}
+
+module.exports = {
+  listLevels,
+  getLevel,
+  maxLevel,
+  isValidLevel,
+  levelUpCost,
+  perkLevel,
+  hasLevelPerk,
+  levelPerkError,
+  perksFor,
+  requireLevelPerk,
+  publicLevel
+};
@@ -0,0 +1,260 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Group = require("../models/Group");
+const ChatMessage = require("../models/ChatMessage");
+const GroupMessage = require("../models/GroupMessage");
+const { hasEntitlement } = require("./entitlements");
+const { dmFilter } = require("./chatAccess");
+const { parsePage, paginate } = require("./pagination");
+const { MESSAGE_SEARCH } = require("../config/chat");
+
+/**
+ * Full-text search over the caller's own DMs and the groups they are a member of
+ * (text indexes on ChatMessage.text / GroupMessage.text).
+ *
+ * Membership is checked here, not trusted from the query: group messages are only
+ * searched in groups the caller belongs to right now (admins are not exempt), DMs only
+ * where the caller is a participant. Deleted messages and earlier edit versions
+ * are never searched.
+ *
+ * Results are newest first and page with ?before=<nextCursor>.
+ */
+
+// words and "quoted phrases" from the query, minus -negated terms
+function queryTerms(q) {
+  const terms = [];
+  const re = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = re.exec(q))) {
+    if (match[1] || match[3]) continue;
+    const term = (match[2] || match[4]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function termsRegex(terms) {
+  if (!terms.length) return null;
+  const parts = terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  // prefix match so stemmed hits ("running" for "run") are still marked
+  return new RegExp(`(${parts.join("|")})\\w*`, "gi");
+}
+
+/**
+ * Snippet around the first match: HTML-escaped text with <mark> around each match,
+ * safe to insert as HTML.
+ */
+function snippetOf(text, re) {
+  const full = String(text || "").replace(/\s+/g, " ").trim();
+  const radius = MESSAGE_SEARCH.snippetRadius;
+
+  let start = 0;
+  if (re) {
+    re.lastIndex = 0;
+    const first = re.exec(full);
+    if (first) start = Math.max(0, first.index - radius);
+  }
+  const end = Math.min(full.length, start + radius * 2 + 40);
+  const excerpt = full.slice(start, end);
+
+  let html = "";
+  let last = 0;
+  if (re) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(excerpt))) {
+      html += escapeHtml(excerpt.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+      last = m.index + m[0].length;
+    }
+  }
+  html += escapeHtml(excerpt.slice(last));
+  return `${start > 0 ? "…" : ""}${html}${end < full.length ? "…" : ""}`;
+}
+
+function parseDate(value, name) {
+  if (!value) return { ok: true, date: null };
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) return { ok: false, status: 400, error: `Invalid ${name} date` };
+  return { ok: true, date };
+}
+
+/**
+ * Read the search filters from req.query.
+ *   q         search text (required)
+ *   in        all | dm | group (default all)
+ *   user      username: DMs with that user, group messages sent by them
+ *   group     group id (only groups you are a member of)
+ *   since, until   date range on createdAt
+ *   hasImage  true | false
+ *   before, limit  paging
+ */
+function parseFilters(query) {
+  const q = String(query.q || "").trim();
+  if (q.length < MESSAGE_SEARCH.minQueryLength) {
+    return { ok: false, status: 400, error: `Search needs at least ${MESSAGE_SEARCH.minQueryLength} characters` };
+  }
+  if (q.length > MESSAGE_SEARCH.maxQueryLength) {
+    return { ok: false, status: 400, error: "Search text too long" };
+  }
+
+  const scope = String(query.in || "all");
+  if (!["all", "dm", "group"].includes(scope)) {
+    return { ok: false, status: 400, error: "in must be all, dm or group" };
+  }
+
+  const groupId = query.group ? String(query.group) : null;
+  if (groupId && !mongoose.isValidObjectId(groupId)) {
+    return { ok: false, status: 400, error: "Invalid group" };
+  }
+
+  const since = parseDate(query.since, "since");
+  if (!since.ok) return since;
+  const until = parseDate(query.until, "until");
+  if (!until.ok) return until;
+
+  let hasImage = null;
+  if (query.hasImage === "true") hasImage = true;
+  else if (query.hasImage === "false") hasImage = false;
+  else if (query.hasImage !== undefined) {
+    return { ok: false, status: 400, error: "hasImage must be true or false" };
+  }
+
+  const page = parsePage(query, {
+    defaultLimit: MESSAGE_SEARCH.defaultLimit,
+    maxLimit: MESSAGE_SEARCH.maxLimit
+  });
+  if (!page.ok) return page;
+  if (page.after) return { ok: false, status: 400, error: "Search results page with before only" };
+
+  return {
+    ok: true,
+    q,
+    // a group filter only makes sense for group messages
+    searchDms: scope !== "group" && !groupId,
+    searchGroups: scope !== "dm",
+    username: query.user ? String(query.user).trim() : "",
+    groupId,
+    since: since.date,
+    until: until.date,
+    hasImage,
+    page
+  };
+}
+
+// Filter parts shared by both collections
+function commonFilter(f) {
+  const filter = { $text: { $search: f.q }, deletedAt: null };
+  if (f.since || f.until) {
+    filter.createdAt = {};
+    if (f.since) filter.createdAt.$gte = f.since;
+    if (f.until) filter.createdAt.$lte = f.until;
+  }
+  if (f.hasImage === true) filter.imageUrl = { $nin: ["", null] };
+  if (f.hasImage === false) filter.imageUrl = { $in: ["", null] };
+  return filter;
+}
+
+/**
+ * Returns { ok, results, nextCursor } or { ok: false, status, error }.
+ * results: [{ kind: "dm", _id, createdAt, fromUsername, with, snippet, hasImage, edited }
+ *         | { kind: "group", _id, createdAt, fromUsername, groupId, groupName, snippet, hasImage, edited }]
+ */
+async function searchMessages(user, query) {
+  const f = parseFilters(query);
+  if (!f.ok) return f;
+
+  const canDm = f.searchDms && hasEntitlement(user, "chat");
+  const canGroup = f.searchGroups && hasEntitlement(user, "groupChat");
+  if (!canDm && !canGroup) {
+    return { ok: false, status: 403, error: "Unlock Chat or Group Chat in the Feature Shop to search messages" };
+  }
+
+  let other = null;
+  if (f.username) {
+    other = await User.findOne({ username: f.username }, "_id username").lean();
+    if (!other) return { ok: false, status: 404, error: "User not found" };
+  }
+
+  // groups the caller is a member of right now
+  let groups = [];
+  if (canGroup) {
+    const memberOf = { "members.userId": user._id };
+    if (f.groupId) memberOf._id = f.groupId;
+    groups = await Group.find(memberOf, "name").lean();
+    if (f.groupId && !groups.length) {
+      return { ok: false, status: 403, error: "You are not a member of that group" };
+    }
+  }
+
+  const select = "fromUserId fromUsername toUsername groupId text imageUrl createdAt editedAt";
+  const [dms, groupMessages] = await Promise.all([
+    canDm
+      ? paginate(
+          ChatMessage,
+          {
+            ...commonFilter(f),
+            ...(other ? dmFilter(user._id, other._id) : { $or: [{ fromUserId: user._id }, { toUserId: user._id }] })
+          },
+          f.page,
+          { select }
+        )
+      : { items: [], nextCursor: null },
+    groups.length
+      ? paginate(
+          GroupMessage,
+          {
+            ...commonFilter(f),
+            groupId: { $in: groups.map((g) => g._id) },
+            ...(other ? { fromUserId: other._id } : {})
+          },
+          f.page,
+          { select }
+        )
+      : { items: [], nextCursor: null }
+  ]);
+
+  // each side holds its newest `limit` matches before the cursor; merge and cut
+  const merged = [
+    ...dms.items.map((m) => ({ kind: "dm", m })),
+    ...groupMessages.items.map((m) => ({ kind: "group", m }))
+  ].sort((a, b) => (a.m._id.toString() < b.m._id.toString() ? 1 : -1));
+  const hasMore = merged.length > f.page.limit || !!dms.nextCursor || !!groupMessages.nextCursor;
+  const pageItems = merged.slice(0, f.page.limit);
+
+  const re = termsRegex(queryTerms(f.q));
+  const groupNames = new Map(groups.map((g) => [g._id.toString(), g.name]));
+  const me = user._id.toString();
+
+  const results = pageItems.map(({ kind, m }) => {
+    const base = {
+      kind,
+      _id: m._id,
+      createdAt: m.createdAt,
+      fromUsername: m.fromUsername,
+      snippet: snippetOf(m.text, re),
+      hasImage: !!m.imageUrl,
+      edited: !!m.editedAt
+    };
+    if (kind === "dm") {
+      return { ...base, with: m.fromUserId.toString() === me ? m.toUsername : m.fromUsername };
+    }
+    return { ...base, groupId: m.groupId, groupName: groupNames.get(m.groupId.toString()) || "" };
+  });
+
+  return {
+    ok: true,
+    results,
+    nextCursor: hasMore && pageItems.length ? pageItems[pageItems.length - 1].m._id : null
+  };
+}
+
+module.exports = { searchMessages };
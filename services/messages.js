@@ -0,0 +1,310 @@
+const mongoose = require("mongoose");
+const ChatMessage = require("../models/ChatMessage");
+const GroupMessage = require("../models/GroupMessage");
+const Group = require("../models/Group");
+const { audit } = require("./audit");
+const { dmRoom, groupRoom } = require("./chatAccess");
+const { publishUpdate } = require("./realtime");
+const { recordFeatureAction } = require("./featureProgress");
+const { paginate } = require("./pagination");
+const { MESSAGE_RULES, REACTIONS } = require("../config/chat");
+
+/**
+ * Editing and removing DM ("dm") and group ("group") messages.
+ *
+ * - Authors can edit within MESSAGE_RULES.editWindowMinutes; each earlier version
+ *   is kept in `edits`.
+ * - Authors can delete their own messages; group owners (their group) and site
+ *   mods/admins (anywhere) can remove messages with a reason, which is audited.
+ * - Deletes are soft: the content stays on the document, responses show a tombstone.
+ * - Group messages can also carry emoji reactions and be replies to another message.
+ */
+
+const MODELS = { dm: ChatMessage, group: GroupMessage };
+
+// [{ emoji, userId, username }] -> [{ emoji, count, users: [username] }] in REACTIONS order
+function reactionSummary(reactions) {
+  const byEmoji = new Map();
+  for (const r of reactions || []) {
+    if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, []);
+    byEmoji.get(r.emoji).push(r.username);
+  }
+  return REACTIONS.filter((e) => byEmoji.has(e)).map((emoji) => ({
+    emoji,
+    count: byEmoji.get(emoji).length,
+    users: byEmoji.get(emoji)
+  }));
+}
+
+// Response shape for history/realtime: tombstones for deleted, no edit internals
+function publicMessage(m) {
+  const obj = m.toObject ? m.toObject() : { ...m };
+  const {
+    edits,
+    deletedByUserId,
+    deletedByUsername,
+    deleteReason,
+    removedByModerator,
+    reactionsCounted,
+    reactions,
+    ...rest
+  } = obj;
+
+  if (rest.deletedAt) {
+    return {
+      ...rest,
+      text: "",
+      imageUrl: "",
+      reactions: [],
+      deleted: true,
+      removedBy: removedByModerator ? "moderator" : "author"
+    };
+  }
+  return {
+    ...rest,
+    ...(reactions ? { reactions: reactionSummary(reactions) } : {}),
+    edited: !!rest.editedAt
+  };
+}
+
+// Quoted parent for a reply ({ _id, fromUsername, text, deleted })
+function replyPreview(parent) {
+  if (!parent) return { deleted: true };
+  if (parent.deletedAt) return { _id: parent._id, fromUsername: parent.fromUsername, text: "", deleted: true };
+  const text = String(parent.text || (parent.imageUrl ? "[image]" : ""));
+  const max = MESSAGE_RULES.replyPreviewLength;
+  return {
+    _id: parent._id,
+    fromUsername: parent.fromUsername,
+    text: text.length > max ? `${text.slice(0, max - 1)}…` : text,
+    deleted: false
+  };
+}
+
+/**
+ * Public group messages with `replyTo` (quoted parent) filled in, one query for the page.
+ */
+async function withReplyPreviews(messages) {
+  const ids = [...new Set(messages.filter((m) => m.replyToId).map((m) => m.replyToId.toString()))];
+  const parents = ids.length
+    ? await GroupMessage.find({ _id: { $in: ids } }, "fromUsername text imageUrl deletedAt").lean()
+    : [];
+  const byId = new Map(parents.map((p) => [p._id.toString(), p]));
+
+  return messages.map((m) => {
+    const out = publicMessage(m);
+    if (m.replyToId) out.replyTo = replyPreview(byId.get(m.replyToId.toString()));
+    return out;
+  });
+}
+
+// publicMessage, plus the quoted parent for group replies
+async function present(kind, m) {
+  if (kind !== "group") return publicMessage(m);
+  const [message] = await withReplyPreviews([m]);
+  return message;
+}
+
+function roomOf(kind, m) {
+  return kind === "dm" ? dmRoom(m.fromUserId, m.toUserId) : groupRoom(m.groupId);
+}
+
+async function findMessage(kind, id, scope = {}) {
+  const Model = MODELS[kind];
+  if (!Model || !mongoose.isValidObjectId(id)) return null;
+  return Model.findOne({ _id: id, ...scope }).lean();
+}
+
+function isAuthor(user, m) {
+  return m.fromUserId.toString() === user._id.toString();
+}
+
+/**
+ * Edit your own message. scope: extra filter (e.g. { groupId }) from the route.
+ * Returns { ok, message } or { ok: false, status, error }.
+ */
+async function editMessage(user, kind, id, text, scope = {}) {
+  if (user.bans?.isBannedFromChat) return { ok: false, status: 403, error: "You are banned from chat" };
+
+  const m = await findMessage(kind, id, scope);
+  if (!m) return { ok: false, status: 404, error: "Message not found" };
+  if (!isAuthor(user, m)) return { ok: false, status: 403, error: "You can only edit your own messages" };
+  if (m.deletedAt) return { ok: false, status: 400, error: "Message was deleted" };
+
+  const windowMs = MESSAGE_RULES.editWindowMinutes * 60 * 1000;
+  if (Date.now() - new Date(m.createdAt).getTime() > windowMs) {
+    return {
+      ok: false,
+      status: 400,
+      error: `Messages can only be edited for ${MESSAGE_RULES.editWindowMinutes} minutes`
+    };
+  }
+  if ((m.edits || []).length >= MESSAGE_RULES.maxEdits) {
+    return { ok: false, status: 400, error: "Edit limit reached" };
+  }
+
+  const newText = String(text ?? "").slice(0, MESSAGE_RULES.maxTextLength);
+  if (!newText.trim() && !m.imageUrl) return { ok: false, status: 400, error: "Text required" };
+  if (newText === m.text) return { ok: true, message: await present(kind, m) };
+
+  const now = new Date();
+  // conditional on the text we read, so two concurrent edits can't lose a version
+  const updated = await MODELS[kind].findOneAndUpdate(
+    { _id: m._id, text: m.text, deletedAt: null },
+    {
+      $push: { edits: { text: m.text, replacedAt: now } },
+      $set: { text: newText, editedAt: now }
+    },
+    { new: true }
+  ).lean();
+  if (!updated) return { ok: false, status: 409, error: "Message changed, reload and try again" };
+
+  const message = await present(kind, updated);
+  publishUpdate(roomOf(kind, updated), message);
+  return { ok: true, message };
+}
+
+// Group owner of this message's group, or a site mod/admin
+async function canModerate(user, kind, m) {
+  if (user.role === "admin" || user.role === "mod") return true;
+  if (kind !== "group") return false;
+  const group = await Group.findById(m.groupId, "ownerUserId").lean();
+  return !!group && group.ownerUserId?.toString() === user._id.toString();
+}
+
+/**
+ * Delete (author) or remove (moderator, reason required) a message.
+ * Returns { ok, message } or { ok: false, status, error }.
+ */
+async function deleteMessage(req, kind, id, reason, scope = {}) {
+  const user = req.user;
+  const m = await findMessage(kind, id, scope);
+  if (!m) return { ok: false, status: 404, error: "Message not found" };
+  if (m.deletedAt) return { ok: true, message: await present(kind, m) };
+
+  const own = isAuthor(user, m);
+  if (!own && !(await canModerate(user, kind, m))) {
+    return { ok: false, status: 403, error: "Forbidden" };
+  }
+
+  const why = String(reason || "").trim().slice(0, MESSAGE_RULES.maxReasonLength);
+  if (!own && !why) return { ok: false, status: 400, error: "Reason required" };
+
+  const updated = await MODELS[kind].findOneAndUpdate(
+    { _id: m._id, deletedAt: null },
+    {
+      $set: {
+        deletedAt: new Date(),
+        deletedByUserId: user._id,
+        deletedByUsername: user.username,
+        deleteReason: why,
+        removedByModerator: !own
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!updated) return { ok: true, message: await present(kind, await findMessage(kind, id)) };
+
+  if (!own) {
+    await audit({
+      req,
+      action: "MOD_REMOVE_MESSAGE",
+      targetUsername: m.fromUsername,
+      details: {
+        kind,
+        messageId: m._id.toString(),
+        groupId: m.groupId ? m.groupId.toString() : undefined,
+        reason: why
+      }
+    });
+  }
+
+  const message = await present(kind, updated);
+  publishUpdate(roomOf(kind, updated), message);
+  return { ok: true, message };
+}
+
+/**
+ * Parent for a new reply in `groupId`. Returns { ok, parent } or { ok: false, status, error }.
+ */
+async function replyParent(groupId, replyToId) {
+  if (!mongoose.isValidObjectId(replyToId)) return { ok: false, status: 400, error: "Invalid replyToId" };
+  const parent = await GroupMessage.findOne({ _id: replyToId, groupId }, "fromUsername text imageUrl deletedAt").lean();
+  if (!parent) return { ok: false, status: 404, error: "Message to reply to not found" };
+  if (parent.deletedAt) return { ok: false, status: 400, error: "Cannot reply to a deleted message" };
+  return { ok: true, parent };
+}
+
+/**
+ * Toggle `emoji` on a group message for `user`.
+ * The author's reactionsReceived stat counts each other member once per message.
+ * Returns { ok, message } or { ok: false, status, error }.
+ */
+async function toggleReaction(user, groupId, messageId, emoji) {
+  if (user.bans?.isBannedFromChat) return { ok: false, status: 403, error: "You are banned from chat" };
+  if (!REACTIONS.includes(emoji)) return { ok: false, status: 400, error: "Unsupported reaction" };
+
+  const m = await findMessage("group", messageId, { groupId });
+  if (!m) return { ok: false, status: 404, error: "Message not found" };
+  if (m.deletedAt) return { ok: false, status: 400, error: "Message was deleted" };
+
+  const mine = { emoji, userId: user._id };
+  const had = (m.reactions || []).some(
+    (r) => r.emoji === emoji && r.userId.toString() === user._id.toString()
+  );
+
+  const updated = await GroupMessage.findOneAndUpdate(
+    had
+      ? { _id: m._id, reactions: { $elemMatch: mine } }
+      : { _id: m._id, reactions: { $not: { $elemMatch: mine } } },
+    had
+      ? { $pull: { reactions: mine } }
+      : { $push: { reactions: { ...mine, username: user.username } } },
+    { new: true }
+  ).lean();
+  // lost a race with another click: current state is still correct to show
+  const current = updated || (await findMessage("group", messageId));
+
+  if (updated && !had && !isAuthor(user, m)) {
+    const first = await GroupMessage.updateOne(
+      { _id: m._id, reactionsCounted: { $ne: user._id } },
+      { $addToSet: { reactionsCounted: user._id } }
+    );
+    if ((first.modifiedCount ?? first.nModified ?? 0) === 1) {
+      await recordFeatureAction(m.fromUserId, "groupChat", "reactionsReceived", 1);
+    }
+  }
+
+  const message = await present("group", current);
+  publishUpdate(groupRoom(groupId), message);
+  return { ok: true, message };
+}
+
+/**
+ * A message and one page of its replies (oldest first).
+ */
+async function threadOf(groupId, messageId, page) {
+  const parent = await findMessage("group", messageId, { groupId });
+  if (!parent) return { ok: false, status: 404, error: "Message not found" };
+
+  const { items, nextCursor } = await paginate(GroupMessage, { groupId, replyToId: parent._id }, page, {
+    ascending: true
+  });
+  return {
+    ok: true,
+    parent: await present("group", parent),
+    replies: items.map(publicMessage),
+    nextCursor
+  };
+}
+
+module.exports = {
+  MESSAGE_MODELS: MODELS,
+  publicMessage,
+  withReplyPreviews,
+  replyParent,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  threadOf
+};
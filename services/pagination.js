@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * Cursor pagination by _id (ObjectIds sort by creation time).
+ *
+ * Query params: ?before=<id> (older page), ?after=<id> (newer items), ?limit=N.
+ * Without a cursor the newest page is returned. Responses carry `nextCursor`:
+ * pass it back as `before` (or as `after` when paging forward with `after`);
+ * it is null when there is nothing more.
+ */
+
+/**
+ * Read before/after/limit from req.query.
+ * Returns { ok, before, after, limit } or { ok: false, status, error }.
+ */
+function parsePage(query, { defaultLimit = 50, maxLimit = 200 } = {}) {
+  const before = query.before ? String(query.before) : null;
+  const after = query.after ? String(query.after) : null;
+
+  if (before && after) return { ok: false, status: 400, error: "Use either before or after" };
+  for (const id of [before, after]) {
+    if (id && !mongoose.isValidObjectId(id)) return { ok: false, status: 400, error: "Invalid cursor" };
+  }
+
+  const n = Number.parseInt(query.limit, 10);
+  const limit = Math.min(Math.max(1, Number.isFinite(n) ? n : defaultLimit), maxLimit);
+  return { ok: true, before, after, limit };
+}
+
+/**
+ * One page of `Model.find(filter)`.
+ * options: { select, lean = true, ascending = false }
+ *   ascending: return items oldest-first (chat logs); paging still walks back from the newest.
+ * Returns { items, nextCursor }.
+ */
+async function paginate(Model, filter, page, { select, lean = true, ascending = false } = {}) {
+  const forward = !!page.after;
+  const cursor = forward ? { $gt: page.after } : page.before ? { $lt: page.before } : null;
+  const query = cursor ? { $and: [filter, { _id: cursor }] } : filter;
+
+  let q = Model.find(query, select)
+    .sort({ _id: forward ? 1 : -1 })
+    .limit(page.limit + 1);
+  if (lean) q = q.lean();
+
+  const rows = await q;
+  const hasMore = rows.length > page.limit;
+  const items = rows.slice(0, page.limit);
+  const nextCursor = hasMore ? items[items.length - 1]._id : null;
+
+  // forward pages come oldest-first, backward pages newest-first
+  if (ascending !== forward) items.reverse();
+  return { items, nextCursor };
+}
+
+module.exports = { parsePage, paginate };
@@ -0,0 +1,150 @@
+const User = require("../models/User");
+const Group = require("../models/Group");
+const ChatMessage = require("../models/ChatMessage");
+const { PRIVACY } = require("../config/privacy");
+
+/**
+ * DM privacy modes and block lists (config/privacy.js).
+ * The mode only decides who may start a conversation: replies and reading an
+ * existing thread are always allowed (canMessage / canReadDm), blocks never are.
+ * Checked by the DM routes (history, read, send, realtime stream) and group invites.
+ */
+
+function dmModeOf(user) {
+  const mode = user.privacy?.dmMode;
+  return PRIVACY.dmModes.includes(mode) ? mode : PRIVACY.defaultDmMode;
+}
+
+function hasBlocked(user, otherId) {
+  return (user.privacy?.blockedUserIds || []).some((id) => id.toString() === otherId.toString());
+}
+
+function isStaff(user) {
+  return user.role === "admin" || user.role === "mod";
+}
+
+// same text for a block by `to` as for a mode refusal, so the two can't be told apart
+function refusal(action) {
+  return { ok: false, status: 403, error: `This user isn't accepting ${action}s from you` };
+}
+
+// a block in either direction, or null
+function blockRefusal(from, to, action) {
+  if (hasBlocked(from, to._id)) {
+    return { ok: false, status: 403, error: "You have blocked this user. Unblock them first." };
+  }
+  return hasBlocked(to, from._id) ? refusal(action) : null;
+}
+
+/**
+ * May `from` reach `to` out of the blue (start a DM or invite them to a group)?
+ * action is only used in the error text ("message", "invite").
+ * Returns { ok: true } or { ok: false, status, error }.
+ */
+async function canContact(from, to, action = "message") {
+  const blocked = blockRefusal(from, to, action);
+  if (blocked) return blocked;
+  if (isStaff(from)) return { ok: true };
+
+  const refused = refusal(action);
+  const mode = dmModeOf(to);
+  if (mode === "everyone") return { ok: true };
+  if (mode === "nobody") return refused;
+
+  if (mode === "contacts") {
+    const messaged = await ChatMessage.exists({ fromUserId: to._id, toUserId: from._id });
+    return messaged ? { ok: true } : refused;
+  }
+
+  // groupmates
+  const shared = await Group.exists({ "members.userId": { $all: [from._id, to._id] } });
+  return shared ? { ok: true } : refused;
+}
+
+/**
+ * May `from` send a DM to `to`? Replying to someone who has messaged you is
+ * always allowed; otherwise `to`'s mode decides (canContact).
+ */
+async function canMessage(from, to) {
+  const blocked = blockRefusal(from, to, "message");
+  if (blocked) return blocked;
+  if (await ChatMessage.exists({ fromUserId: to._id, toUserId: from._id })) return { ok: true };
+  return canContact(from, to);
+}
+
+/**
+ * May `user` open their DM thread with `other`? Any existing thread can be read by
+ * both sides; an empty one only by someone allowed to start it.
+ */
+async function canReadDm(user, other) {
+  const blocked = blockRefusal(user, other, "message");
+  if (blocked) return blocked;
+  const thread = await ChatMessage.exists({
+    $or: [
+      { fromUserId: user._id, toUserId: other._id },
+      { fromUserId: other._id, toUserId: user._id }
+    ]
+  });
+  if (thread) return { ok: true };
+  return canContact(user, other);
+}
+
+/**
+ * { dmMode, modes, blocked: [{ username }] } for the settings page.
+ */
+async function privacySettings(user) {
+  const blocked = await User.find({ _id: { $in: user.privacy?.blockedUserIds || [] } }, "username")
+    .sort({ usernameLower: 1 })
+    .lean();
+  return {
+    dmMode: dmModeOf(user),
+    modes: PRIVACY.dmModes,
+    blocked: blocked.map((u) => ({ username: u.username }))
+  };
+}
+
+async function setDmMode(user, mode) {
+  if (!PRIVACY.dmModes.includes(mode)) return { ok: false, status: 400, error: "Invalid DM mode" };
+  await User.updateOne({ _id: user._id }, { $set: { "privacy.dmMode": mode } });
+  return { ok: true, dmMode: mode };
+}
+
+/**
+ * Block or unblock `username`. Returns { ok, blocked } or { ok: false, status, error }.
+ */
+async function setBlocked(user, username, block) {
+  const name = String(username || "").trim();
+  if (!name) return { ok: false, status: 400, error: "Missing username" };
+
+  const other = await User.findOne({ username: name }, "_id username").lean();
+  if (!other) return { ok: false, status: 404, error: "User not found" };
+  if (other._id.equals(user._id)) return { ok: false, status: 400, error: "You cannot block yourself" };
+
+  if (!block) {
+    await User.updateOne({ _id: user._id }, { $pull: { "privacy.blockedUserIds": other._id } });
+    return { ok: true, blocked: false, username: other.username };
+  }
+
+  // size check in the filter so concurrent blocks can't pass the cap
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      [`privacy.blockedUserIds.${PRIVACY.maxBlocked - 1}`]: { $exists: false }
+    },
+    { $addToSet: { "privacy.blockedUserIds": other._id } }
+  );
+  if (!result.matchedCount && !hasBlocked(user, other._id)) {
+    return { ok: false, status: 400, error: `You can block at most ${PRIVACY.maxBlocked} users` };
+  }
+  return { ok: true, blocked: true, username: other.username };
+}
+
+module.exports = {
+  canContact,
+  canMessage,
+  canReadDm,
+  hasBlocked,
+  privacySettings,
+  setDmMode,
+  setBlocked
+};
@@ -0,0 +1,190 @@
+const User = require("../models/User");
+const { credit } = require("./ledger");
+const { FEATURE_MILESTONES } = require("../config/features");
+
+/**
+ * Progression rewards: achievements, AP milestones and solved challenges.
+ *
+ * Every reward is one entry in User.achievements (the user's history) and may grant
+ * AP, coins, a title and/or an entitlement unlock. The entry, title and coins are
+ * written in one conditional update on the code, so a reward is never paid twice;
+ * AP is credited through the AP ledger only by the call that added the entry.
+ */
+
+function cleanReward(reward) {
+  return {
+    code: String(reward.code || "").trim(),
+    title: String(reward.title || reward.code || "").trim(),
+    source: reward.source || "achievement",
+    ap: Math.max(0, Number(reward.ap ?? reward.apReward) || 0),
+    coins: Math.max(0, Number(reward.coins ?? reward.coinsReward) || 0),
+    grantedTitle: String(reward.grantTitle || "").trim(),
+    unlock: String(reward.unlock || "").trim()
+  };
+}
+
+function rewardUpdate(r, { withCoins }) {
+  const entry = {
+    code: r.code,
+    title: r.title,
+    earnedAt: new Date(),
+    source: r.source,
+    ap: r.ap,
+    coins: withCoins ? r.coins : 0,
+    grantedTitle: r.grantedTitle,
+    unlock: r.unlock
+  };
+  const update = { $push: { achievements: entry } };
+  if (r.grantedTitle) update.$addToSet = { titles: r.grantedTitle };
+  return update;
+}
+
+// entitlement unlocks are idempotent on their own: only added when no permanent one exists
+async function grantUnlock(userId, key) {
+  await User.updateOne(
+    { _id: userId, entitlements: { $not: { $elemMatch: { key, expiresAt: null } } } },
+    { $push: { entitlements: { key, source: "reward", grantedAt: new Date(), expiresAt: null } } }
+  );
+}
+
+/**
+ * Grant a reward once.
+ * reward: { code, title, source, ap|apReward, coins|coinsReward, grantTitle, unlock }
+ * - Coins go through the ledger (achievement_reward). Coin-banned users still get
+ *   the entry, AP, title and unlock, just without coins.
+ *
+ * Returns { ok: true, awarded: boolean } or { ok: false } for a bad reward / missing user.
+ */
+async function grantReward(userId, reward) {
+  const r = cleanReward(reward);
+  if (!r.code || !r.title) return { ok: false, awarded: false };
+
+  const notYet = { "achievements.code": { $ne: r.code } };
+  let awarded = false;
+
+  // 1) With coins (only if not coin-banned), recorded by the ledger
+  if (r.coins > 0) {
+    // (a title added by $addToSet is left in place on revert; it may have been owned before)
+    const revert = { $pull: { achievements: { code: r.code } } };
+
+    const result = await credit({
+      userId,
+      amount: r.coins,
+      type: "achievement_reward",
+      description: `Achievement: ${r.title}`,
+      filter: { ...notYet, "bans.isBannedFromCoins": { $ne: true } },
+      update: rewardUpdate(r, { withCoins: true }),
+      revert
+    });
+    awarded = result.ok;
+  }
+
+  // 2) Without coins (no coin reward, or the user is coin-banned)
+  if (!awarded) {
+    const res = await User.updateOne(
+      { _id: userId, ...notYet },
+      rewardUpdate(r, { withCoins: false })
+    );
+    awarded = (res.modifiedCount ?? res.nModified ?? 0) === 1;
+  }
+
+  if (awarded && r.ap) {
+    await credit({
+      userId,
+      amount: r.ap,
+      type: "achievement_reward",
+      description: `Achievement: ${r.title}`,
+      currency: "ap"
+    });
+  }
+  if (awarded && r.unlock) await grantUnlock(userId, r.unlock);
+  return { ok: true, awarded };
+}
+
+/**
+ * Increment a stat and grant the milestones it reached (config/features.js).
+ * Returns the new stat value.
+ */
+async function recordStat(userId, featureKey, statKey, delta = 1) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { [`stats.${statKey}`]: delta } },
+    { new: true, select: "stats achievements" }
+  ).lean();
+  if (!user) return null;
+
+  const value = Number(user.stats?.[statKey] || 0);
+  const earned = new Set((user.achievements || []).map((a) => a.code));
+
+  for (const m of FEATURE_MILESTONES?.[featureKey]?.[statKey] || []) {
+    if (!m || typeof m !== "object" || !m.code || earned.has(m.code)) continue;
+    if (value >= Number(m.count)) {
+      await grantReward(userId, { ...m, source: "milestone" });
+    }
+  }
+  return value;
+}
+
+/**
+ * Reward history, newest first. Optional source filter ("achievement" | "milestone" | "challenge").
+ */
+function rewardHistory(user, { source } = {}) {
+  const list = (user.achievements || [])
+    .map((a) => (a.toObject ? a.toObject() : a))
+    .filter((a) => !source || (a.source || "achievement") === source);
+  return list.sort((a, b) => new Date(b.earnedAt) - new Date(a.earnedAt));
+}
+
+const MILESTONES_BY_CODE = new Map(
+  Object.values(FEATURE_MILESTONES)
+    .flatMap((byStat) => Object.values(byStat))
+    .flat()
+    .map((m) => [m.code, m])
+);
+
+/**
+ * One-time move of the old User.awardedAchievements codes into User.achievements.
+ * Their AP is already in achievementPoints, so nothing is paid again. Safe to run on every start.
+ */
+async function migrateAwardedAchievements() {
+  const users = await User.find(
+    { "awardedAchievements.0": { $exists: true } },
+    "achievements awardedAchievements"
+  ).lean();
+
+  let migrated = 0;
+  for (const u of users) {
+    const have = new Set((u.achievements || []).map((a) => a.code));
+    const now = new Date();
+    const entries = u.awardedAchievements
+      .filter((code) => !have.has(code))
+      .map((code) => {
+        const m = MILESTONES_BY_CODE.get(code);
+        return {
+          code,
+          title: m?.title || code,
+          earnedAt: now,
+          source: "milestone",
+          ap: Number(m?.ap) || 0,
+          coins: 0,
+          migrated: true
+        };
+      });
+
+    const res = await User.updateOne(
+      { _id: u._id, awardedAchievements: u.awardedAchievements },
+      { $push: { achievements: { $each: entries } }, $set: { awardedAchievements: [] } }
+    );
+    if ((res.modifiedCount ?? res.nModified ?? 0) === 1) migrated++;
+  }
+
+  if (migrated) console.log(`Migrated awardedAchievements for ${migrated} user(s)`);
+  return migrated;
+}
+
+module.exports = {
+  grantReward,
+  recordStat,
+  rewardHistory,
+  migrateAwardedAchievements
+};
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const ReadCursor = require("../models/ReadCursor");
+const ChatMessage = require("../models/ChatMessage");
+const GroupMessage = require("../models/GroupMessage");
+const Group = require("../models/Group");
+const { hasEntitlement } = require("./entitlements");
+const { groupRoom } = require("./chatAccess");
+const { publishRead } = require("./realtime");
+
+/**
+ * Per-user read position in a conversation (room keys from services/chatAccess.js).
+ * Cursors only move forward, so an older tab can't mark messages unread again.
+ */
+
+// Returns the cursor after the update ({ lastReadId })
+async function markRead(userId, room, messageId) {
+  if (!messageId) return null;
+  return ReadCursor.findOneAndUpdate(
+    { userId, room },
+    { $max: { lastReadId: messageId }, $set: { updatedAt: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+/**
+ * Mark a conversation read up to `messageId` (or its newest message when omitted)
+ * and tell the room, so the other side can show "seen".
+ * conversation: filter selecting the conversation's messages in `Model`.
+ * Returns { ok, lastReadId } or { ok: false, status, error }.
+ */
+async function readConversation(user, room, Model, conversation, messageId) {
+  let message;
+  if (messageId) {
+    if (!mongoose.isValidObjectId(messageId)) return { ok: false, status: 400, error: "Invalid messageId" };
+    message = await Model.findOne({ ...conversation, _id: messageId }, "_id").lean();
+    if (!message) return { ok: false, status: 404, error: "Message not found" };
+  } else {
+    message = await Model.findOne(conversation, "_id").sort({ _id: -1 }).lean();
+    if (!message) return { ok: true, lastReadId: null };
+  }
+
+  const cursor = await markRead(user._id, room, message._id);
+  publishRead(room, user, cursor.lastReadId);
+  return { ok: true, lastReadId: cursor.lastReadId };
+}
+
+// room -> lastReadId (null when never read)
+async function cursorsFor(userId, rooms) {
+  const list = await ReadCursor.find({ userId, room: { $in: rooms } }, "room lastReadId").lean();
+  const map = new Map(rooms.map((r) => [r, null]));
+  for (const c of list) map.set(c.room, c.lastReadId);
+  return map;
+}
+
+// Everyone else's cursor in a room: [{ userId, lastReadId }]
+async function readersOf(room, exceptUserId) {
+  const list = await ReadCursor.find(
+    { room, userId: { $ne: exceptUserId }, lastReadId: { $ne: null } },
+    "userId lastReadId"
+  ).lean();
+  return list.map((c) => ({ userId: c.userId, lastReadId: c.lastReadId }));
+}
+
+// "dm:<a>:<b>" -> the id that isn't `userId`
+function dmPartnerId(room, userId) {
+  const [, a, b] = room.split(":");
+  return a === userId.toString() ? b : a;
+}
+
+// Incoming DMs after each partner's cursor (partners without a cursor count fully)
+async function unreadDms(user) {
+  const cursors = await ReadCursor.find(
+    { userId: user._id, room: /^dm:/, lastReadId: { $ne: null } },
+    "room lastReadId"
+  ).lean();
+
+  const read = cursors.map((c) => ({ fromUserId: dmPartnerId(c.room, user._id), _id: { $gt: c.lastReadId } }));
+  return ChatMessage.countDocuments({
+    toUserId: user._id,
+    $or: [{ fromUserId: { $nin: read.map((r) => r.fromUserId) } }, ...read]
+  });
+}
+
+// Other members' group messages after the cursor, over every group the user is in
+async function unreadGroups(user) {
+  const groups = await Group.find({ "members.userId": user._id }, "_id").lean();
+  if (!groups.length) return 0;
+
+  const cursors = await cursorsFor(
+    user._id,
+    groups.map((g) => groupRoom(g._id))
+  );
+  return GroupMessage.countDocuments({
+    fromUserId: { $ne: user._id },
+    $or: groups.map((g) => {
+      const lastRead = cursors.get(groupRoom(g._id));
+      return lastRead ? { groupId: g._id, _id: { $gt: lastRead } } : { groupId: g._id };
+    })
+  });
+}
+
+/**
+ * Unread totals for the header badge (GET /api/auth/me).
+ * Conversations the user can't open (feature locked) count as 0.
+ */
+async function unreadCounts(user) {
+  const [dms, groups] = await Promise.all([
+    hasEntitlement(user, "chat") ? unreadDms(user) : 0,
+    hasEntitlement(user, "groupChat") ? unreadGroups(user) : 0
+  ]);
+  return { dms, groups, total: dms + groups };
+}
+
+module.exports = { markRead, readConversation, cursorsFor, readersOf, unreadCounts };
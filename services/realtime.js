@@ -0,0 +1,146 @@
+const User = require("../models/User");
+const { REALTIME } = require("../config/realtime");
+
+/**
+ * Realtime hub: Server-Sent Events streams grouped by room ("dm:<a>:<b>", "group:<id>").
+ *
+ * Events sent to a stream:
+ *   ready    { room, online }              once, after connecting
+ *   message  <ChatMessage | GroupMessage>  a new message in the room
+ *   typing   { username }                  someone else is typing
+ *   presence { online: [username] }        who has the room open
+ *   read     { username, lastReadId }      someone else read up to a message
+ *   update   <message>                     a message was edited or deleted (tombstone)
+ *   closed   { error }                     access was lost; the stream ends
+ *
+ * The hub lives in this process only. With several server instances each one only
+ * sees its own streams, and clients fall back to polling for what they miss.
+ */
+
+// room -> Set(conn); conn = { res, room, userId, username, timers }
+const rooms = new Map();
+// userId -> number of open streams
+const perUser = new Map();
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function onlineIn(room) {
+  const names = new Set();
+  for (const c of rooms.get(room) || []) names.add(c.username);
+  return [...names].sort();
+}
+
+function broadcast(room, event, data, { exceptUserId } = {}) {
+  for (const c of rooms.get(room) || []) {
+    if (exceptUserId && c.userId === exceptUserId.toString()) continue;
+    try {
+      send(c.res, event, data);
+    } catch (err) {
+      console.error("realtime send error:", err.message);
+    }
+  }
+}
+
+function streamCount(userId) {
+  return perUser.get(userId.toString()) || 0;
+}
+
+function detach(conn) {
+  if (conn.closed) return;
+  conn.closed = true;
+  conn.timers.forEach(clearInterval);
+
+  const set = rooms.get(conn.room);
+  if (set) {
+    set.delete(conn);
+    if (!set.size) rooms.delete(conn.room);
+  }
+  const n = streamCount(conn.userId) - 1;
+  if (n > 0) perUser.set(conn.userId, n);
+  else perUser.delete(conn.userId);
+
+  broadcast(conn.room, "presence", { online: onlineIn(conn.room) });
+}
+
+/**
+ * Open an SSE stream for `user` on `room`.
+ * recheck(user) must resolve to { ok } / { ok: false, error } with the same rules used
+ * on connect; it runs every REALTIME.revalidateSeconds against a freshly loaded user.
+ * Returns false (and sends nothing) when the user already has too many streams.
+ */
+function subscribe(req, res, { user, room, recheck }) {
+  const userId = user._id.toString();
+  if (streamCount(userId) >= REALTIME.maxStreamsPerUser) return false;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // nginx: don't buffer the stream
+  });
+  res.write(`retry: ${REALTIME.pollSeconds * 1000}\n\n`);
+
+  const conn = { res, room, userId, username: user.username, timers: [], closed: false };
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(conn);
+  perUser.set(userId, streamCount(userId) + 1);
+
+  conn.timers.push(
+    setInterval(() => res.write(": ping\n\n"), REALTIME.heartbeatSeconds * 1000),
+    setInterval(async () => {
+      try {
+        const fresh = await User.findById(userId);
+        const access = !fresh
+          ? { ok: false, error: "User not found" }
+          : fresh.bans?.isBannedFromLogin
+            ? { ok: false, error: "Account banned" }
+            : fresh.bans?.isBannedFromChat
+              ? { ok: false, error: "You are banned from chat" }
+              : await recheck(fresh);
+        if (access.ok) return;
+        send(res, "closed", { error: access.error });
+        detach(conn);
+        res.end();
+      } catch (err) {
+        console.error("realtime revalidate error:", err.message);
+      }
+    }, REALTIME.revalidateSeconds * 1000)
+  );
+
+  req.on("close", () => detach(conn));
+
+  send(res, "ready", { room, online: onlineIn(room) });
+  broadcast(room, "presence", { online: onlineIn(room) }, { exceptUserId: userId });
+  return true;
+}
+
+// New message in a room (called by the send routes after the message is saved),
+// in the same public shape as history (services/messages.js publicMessage)
+function publishMessage(room, message) {
+  broadcast(room, "message", message);
+}
+
+function publishTyping(room, user) {
+  broadcast(room, "typing", { username: user.username }, { exceptUserId: user._id });
+}
+
+// Edited or deleted message (already in its public shape)
+function publishUpdate(room, message) {
+  broadcast(room, "update", message);
+}
+
+// Read cursor moved (chat.html / group.html show "seen")
+function publishRead(room, user, lastReadId) {
+  broadcast(room, "read", { username: user.username, lastReadId }, { exceptUserId: user._id });
+}
+
+module.exports = {
+  subscribe,
+  publishMessage,
+  publishTyping,
+  publishRead,
+  publishUpdate,
+  onlineIn
+};
@@ -0,0 +1,369 @@
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const Group = require("../models/Group");
+const ChatMessage = require("../models/ChatMessage");
+const GroupMessage = require("../models/GroupMessage");
+const { audit } = require("./audit");
+const { isGroupMember } = require("./chatAccess");
+const { deleteMessage } = require("./messages");
+const { paginate } = require("./pagination");
+const { issueBan } = require("./bans");
+const { MODERATION } = require("../config/moderation");
+
+/**
+ * User reports and the moderator queue.
+ *
+ * open -> claimed (one mod works it) -> resolved | dismissed
+ * Resolving can apply actions to the reported content / user:
+ *   remove_content  delete the message, or clear a group description / profile status
+ *   warn            add a warning to the user (shown in /api/auth/me)
+ *   chat_ban        temporary chat ban (services/bans.js)
+ * Every mod step is audited. Only admins can warn or ban mods/admins.
+ */
+
+const ACTIONS = ["remove_content", "warn", "chat_ban"];
+const ACTIVE = ["open", "claimed"];
+
+function isStaff(user) {
+  return user.role === "admin" || user.role === "mod";
+}
+
+/**
+ * What a report points at, checked against what the reporter can actually see.
+ * Returns { ok, target: { targetId, targetUserId, targetUsername, groupId, snapshot } }
+ * or { ok: false, status, error }.
+ */
+async function reportTarget(reporter, kind, targetId, username) {
+  const me = reporter._id.toString();
+
+  if (kind === "profile") {
+    const name = String(username || "").trim();
+    const user = name
+      ? await User.findOne({ username: name }, "username statusMessage").lean()
+      : mongoose.isValidObjectId(targetId)
+        ? await User.findById(targetId, "username statusMessage").lean()
+        : null;
+    if (!user) return { ok: false, status: 404, error: "User not found" };
+    if (user._id.toString() === me) return { ok: false, status: 400, error: "You cannot report yourself" };
+    return {
+      ok: true,
+      target: {
+        targetId: user._id,
+        targetUserId: user._id,
+        targetUsername: user.username,
+        snapshot: { text: user.statusMessage || "" }
+      }
+    };
+  }
+
+  if (!mongoose.isValidObjectId(targetId)) return { ok: false, status: 400, error: "Invalid targetId" };
+
+  if (kind === "dm") {
+    // only the recipient can report a DM
+    const m = await ChatMessage.findOne({ _id: targetId, toUserId: reporter._id }).lean();
+    if (!m) return { ok: false, status: 404, error: "Message not found" };
+    return {
+      ok: true,
+      target: {
+        targetId: m._id,
+        targetUserId: m.fromUserId,
+        targetUsername: m.fromUsername,
+        snapshot: { text: m.text, imageUrl: m.imageUrl }
+      }
+    };
+  }
+
+  if (kind === "group_message") {
+    const m = await GroupMessage.findById(targetId).lean();
+    const group = m && (await Group.findById(m.groupId, "members").lean());
+    // same 404 for "not a member", so group content can't be probed
+    if (!m || !group || !isGroupMember(group, reporter)) {
+      return { ok: false, status: 404, error: "Message not found" };
+    }
+    if (m.fromUserId.toString() === me) return { ok: false, status: 400, error: "You cannot report your own message" };
+    return {
+      ok: true,
+      target: {
+        targetId: m._id,
+        targetUserId: m.fromUserId,
+        targetUsername: m.fromUsername,
+        groupId: m.groupId,
+        snapshot: { text: m.text, imageUrl: m.imageUrl }
+      }
+    };
+  }
+
+  // group: public, or one the reporter is in / invited to
+  const group = await Group.findById(targetId).lean();
+  const visible =
+    group && (group.isPublic || isGroupMember(group, reporter) || (group.invites || []).includes(reporter.username));
+  if (!visible) return { ok: false, status: 404, error: "Group not found" };
+  if (group.ownerUserId?.toString() === me) return { ok: false, status: 400, error: "You cannot report your own group" };
+  return {
+    ok: true,
+    target: {
+      targetId: group._id,
+      targetUserId: group.ownerUserId || null,
+      targetUsername: group.ownerUsername || "",
+      groupId: group._id,
+      snapshot: { text: `${group.name}\n${group.description || ""}`.trim() }
+    }
+  };
+}
+
+/**
+ * POST /api/reports { kind, targetId | username (profile), reason, details }
+ * Returns { ok, report } or { ok: false, status, error }.
+ */
+async function createReport(req, body) {
+  const reporter = req.user;
+  const { kind, targetId, username, reason, details } = body || {};
+
+  if (!MODERATION.kinds.includes(kind)) return { ok: false, status: 400, error: "Invalid report kind" };
+  const why = reason ? String(reason) : "other";
+  if (!MODERATION.reasons.includes(why)) return { ok: false, status: 400, error: "Invalid reason" };
+
+  const found = await reportTarget(reporter, kind, targetId, username);
+  if (!found.ok) return found;
+  const { target } = found;
+
+  // one active report per reporter and target
+  const existing = await Report.findOne({
+    reporterUserId: reporter._id,
+    kind,
+    targetId: target.targetId,
+    status: { $in: ACTIVE }
+  }).lean();
+  if (existing) return { ok: true, report: existing, duplicate: true };
+
+  const open = await Report.countDocuments({ reporterUserId: reporter._id, status: { $in: ACTIVE } });
+  if (open >= MODERATION.maxOpenPerReporter) {
+    return { ok: false, status: 429, error: "You have too many open reports. Please wait for a moderator." };
+  }
+
+  const report = await Report.create({
+    reporterUserId: reporter._id,
+    reporterUsername: reporter.username,
+    kind,
+    ...target,
+    reason: why,
+    details: String(details || "").slice(0, MODERATION.maxDetailsLength)
+  });
+
+  await audit({
+    req,
+    action: "REPORT_CREATE",
+    targetUsername: target.targetUsername,
+    details: { reportId: report._id.toString(), kind, targetId: target.targetId.toString(), reason: why }
+  });
+
+  return { ok: true, report: report.toObject() };
+}
+
+// Reporter's view of their own reports
+async function myReports(user) {
+  return Report.find(
+    { reporterUserId: user._id },
+    "kind targetUsername reason status createdAt closedAt"
+  )
+    .sort({ _id: -1 })
+    .limit(50)
+    .lean();
+}
+
+/**
+ * Mod queue. query: status (open | claimed | resolved | dismissed | active, default active), kind.
+ */
+async function listReports(query, page) {
+  const status = String(query.status || "active");
+  const filter = {};
+  if (status === "active") filter.status = { $in: ACTIVE };
+  else if (Report.schema.path("status").enumValues.includes(status)) filter.status = status;
+  else return { ok: false, status: 400, error: "Invalid status" };
+
+  if (query.kind) {
+    if (!MODERATION.kinds.includes(String(query.kind))) return { ok: false, status: 400, error: "Invalid kind" };
+    filter.kind = String(query.kind);
+  }
+
+  const { items, nextCursor } = await paginate(Report, filter, page);
+  return { ok: true, reports: items, nextCursor };
+}
+
+async function getReport(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Report.findById(id).lean();
+}
+
+/**
+ * Take an open report so other mods don't work it too.
+ */
+async function claimReport(req, id) {
+  if (!mongoose.isValidObjectId(id)) return { ok: false, status: 404, error: "Report not found" };
+
+  const report = await Report.findOneAndUpdate(
+    { _id: id, status: "open" },
+    {
+      $set: {
+        status: "claimed",
+        claimedByUserId: req.user._id,
+        claimedByUsername: req.user.username,
+        claimedAt: new Date()
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!report) {
+    const current = await getReport(id);
+    if (!current) return { ok: false, status: 404, error: "Report not found" };
+    return { ok: false, status: 409, error: `Report is already ${current.status}` };
+  }
+
+  await audit({
+    req,
+    action: "MOD_CLAIM_REPORT",
+    targetUsername: report.targetUsername,
+    details: { reportId: report._id.toString(), kind: report.kind }
+  });
+  return { ok: true, report };
+}
+
+// ---------- resolution actions ----------
+
+async function removeContent(req, report, note) {
+  const reason = note || `Reported: ${report.reason}`;
+
+  if (report.kind === "dm" || report.kind === "group_message") {
+    const kind = report.kind === "dm" ? "dm" : "group";
+    const r = await deleteMessage(req, kind, report.targetId, reason);
+    return r.ok ? { ok: true } : { ok: false, error: r.error };
+  }
+
+  if (report.kind === "group") {
+    await Group.updateOne({ _id: report.targetId }, { $set: { description: "" } });
+  } else {
+    await User.updateOne({ _id: report.targetId }, { $set: { statusMessage: "" } });
+  }
+  await audit({
+    req,
+    action: report.kind === "group" ? "MOD_CLEAR_GROUP_DESCRIPTION" : "MOD_CLEAR_STATUS",
+    targetUsername: report.targetUsername,
+    details: { reportId: report._id.toString(), targetId: report.targetId.toString(), reason }
+  });
+  return { ok: true };
+}
+
+async function warnUser(req, report, note) {
+  const reason = note || `Reported for ${report.reason}`;
+  await User.updateOne(
+    { _id: report.targetUserId },
+    {
+      $push: {
+        warnings: { reason, byUsername: req.user.username, reportId: report._id, createdAt: new Date() }
+      }
+    }
+  );
+  await audit({
+    req,
+    action: "MOD_WARN_USER",
+    targetUsername: report.targetUsername,
+    details: { reportId: report._id.toString(), reason }
+  });
+  return { ok: true };
+}
+
+async function chatBan(req, report, note, hours) {
+  const r = await issueBan({
+    req,
+    user: report.targetUserId,
+    scope: "chat",
+    hours,
+    reason: note || `Reported for ${report.reason}`,
+    source: "report",
+    reportId: report._id
+  });
+  return r.ok ? { ok: true, until: r.ban.endsAt } : { ok: false, error: r.error };
+}
+
+/**
+ * Close a report as "resolved" (with optional actions) or "dismissed".
+ * body: { actions: [remove_content | warn | chat_ban], note, chatBanHours }
+ * Returns { ok, report, results } or { ok: false, status, error }.
+ */
+async function closeReport(req, id, outcome, body) {
+  const actor = req.user;
+  const report = await getReport(id);
+  if (!report) return { ok: false, status: 404, error: "Report not found" };
+  if (!ACTIVE.includes(report.status)) return { ok: false, status: 409, error: `Report is already ${report.status}` };
+
+  const claimedByOther = report.claimedByUserId && report.claimedByUserId.toString() !== actor._id.toString();
+  if (claimedByOther && actor.role !== "admin") {
+    return { ok: false, status: 403, error: `Claimed by ${report.claimedByUsername}` };
+  }
+
+  const note = String(body?.note || "").trim().slice(0, MODERATION.maxNoteLength);
+  const actions = outcome === "resolved" ? [...new Set((body?.actions || []).map(String))] : [];
+  if (actions.some((a) => !ACTIONS.includes(a))) return { ok: false, status: 400, error: "Unknown action" };
+
+  const hours = Number(body?.chatBanHours ?? MODERATION.chatBan.defaultHours);
+  if (actions.includes("chat_ban") && !(hours >= 1 && hours <= MODERATION.chatBan.maxHours)) {
+    return { ok: false, status: 400, error: `chatBanHours must be between 1 and ${MODERATION.chatBan.maxHours}` };
+  }
+
+  if (actions.includes("warn") || actions.includes("chat_ban")) {
+    const target = report.targetUserId ? await User.findById(report.targetUserId, "role").lean() : null;
+    if (!target) return { ok: false, status: 400, error: "Reported user no longer exists" };
+    if (isStaff(target) && actor.role !== "admin") {
+      return { ok: false, status: 403, error: "Only admins can warn or ban staff" };
+    }
+  }
+
+  // close first, so two mods can't apply the same actions twice
+  const closed = await Report.findOneAndUpdate(
+    { _id: report._id, status: report.status, claimedByUserId: report.claimedByUserId },
+    {
+      $set: {
+        status: outcome,
+        closedByUserId: actor._id,
+        closedByUsername: actor.username,
+        closedAt: new Date(),
+        actions,
+        note
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!closed) return { ok: false, status: 409, error: "Report changed, reload and try again" };
+
+  const results = {};
+  for (const action of actions) {
+    try {
+      if (action === "remove_content") results[action] = await removeContent(req, closed, note);
+      if (action === "warn") results[action] = await warnUser(req, closed, note);
+      if (action === "chat_ban") results[action] = await chatBan(req, closed, note, hours);
+    } catch (err) {
+      console.error(`report action ${action} error:`, err);
+      results[action] = { ok: false, error: "Server error" };
+    }
+  }
+
+  await audit({
+    req,
+    action: outcome === "resolved" ? "MOD_RESOLVE_REPORT" : "MOD_DISMISS_REPORT",
+    targetUsername: closed.targetUsername,
+    details: { reportId: closed._id.toString(), kind: closed.kind, actions, note, results }
+  });
+
+  return { ok: true, report: closed, results };
+}
+
+module.exports = {
+  REPORT_ACTIONS: ACTIONS,
+  createReport,
+  myReports,
+  listReports,
+  getReport,
+  claimReport,
+  closeReport
+};
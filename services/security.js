@@ -1,31 +1,70 @@
 const rateLimit = require("express-rate-limit");
+const { rateLimitKey } = require("./clientIp");
 
 const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 10,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  keyGenerator: rateLimitKey
 });
 
 const chatLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 30,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  keyGenerator: rateLimitKey
 });
 
 const coinLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 10,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  keyGenerator: rateLimitKey
 });
 
 const adminLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 60,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  keyGenerator: rateLimitKey
 });
 
-module.exports = { loginLimiter, chatLimiter, coinLimiter, adminLimiter };
+const challengeLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: rateLimitKey
+});
+
+// message search
+const searchLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: rateLimitKey
+});
+
+// realtime stream (re)connects and typing pings
+const realtimeLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: rateLimitKey
+});
+
+module.exports = {
+  loginLimiter,
+  chatLimiter,
+  coinLimiter,
+  adminLimiter,
+  challengeLimiter,
+  realtimeLimiter,
+  searchLimiter
+};
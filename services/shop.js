@@ -0,0 +1,305 @@
+const User = require("../models/User");
+const ShopItem = require("../models/ShopItem");
+const { debit, credit } = require("./ledger");
+const { audit } = require("./audit");
+const { isActive, activeEntitlement, hasEntitlement } = require("./entitlements");
+const { DEFAULT_SHOP_ITEMS, SHOP_REFUNDS, SHOP_RENTALS } = require("../config/economy");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seed the catalog on first start (empty collection only).
+ */
+async function ensureDefaultShopItems() {
+  const count = await ShopItem.estimatedDocumentCount();
+  if (count > 0) return;
+  await ShopItem.insertMany(DEFAULT_SHOP_ITEMS);
+  console.log("Seeded default shop items:", DEFAULT_SHOP_ITEMS.map((i) => i.key).join(", "));
+}
+
+/**
+ * Can this user buy this item right now?
+ * Returns { ok: true } or { ok: false, status, error }.
+ */
+function checkPurchasable(item, user, now = new Date()) {
+  if (!item || item.retired) return { ok: false, status: 400, error: "Invalid feature" };
+  if (item.availableFrom && item.availableFrom > now) {
+    return { ok: false, status: 400, error: "This item is not available yet" };
+  }
+  if (item.availableUntil && item.availableUntil <= now) {
+    return { ok: false, status: 400, error: "This item is no longer available" };
+  }
+  if (item.stock !== null && item.stock !== undefined && item.stock <= 0) {
+    return { ok: false, status: 400, error: "Out of stock" };
+  }
+  if ((user.level || 1) < (item.requiredLevel || 1)) {
+    return { ok: false, status: 403, error: `Level ${item.requiredLevel} required` };
+  }
+  const missing = (item.prerequisites || []).filter((k) => !hasEntitlement(user, k));
+  if (missing.length) {
+    return { ok: false, status: 403, error: `Unlock first: ${missing.join(", ")}` };
+  }
+  if (hasEntitlement(user, item.key)) {
+    return { ok: false, status: 400, error: "Feature already unlocked" };
+  }
+  return { ok: true };
+}
+
+/**
+ * Catalog as seen by one user (active items only, with owned/purchasable flags).
+ */
+async function listCatalog(user) {
+  const items = await ShopItem.find({ retired: false }).sort({ sortOrder: 1, createdAt: 1 }).lean();
+  const now = new Date();
+
+  return items.map((item) => {
+    const check = checkPurchasable(item, user, now);
+    return {
+      key: item.key,
+      title: item.title,
+      description: item.description,
+      price: item.price ?? null,
+      apPrice: item.apPrice ?? null,
+      requiredLevel: item.requiredLevel,
+      prerequisites: item.prerequisites,
+      availableFrom: item.availableFrom,
+      availableUntil: item.availableUntil,
+      stock: item.stock,
+      rentalPricePerDay: item.rentalPricePerDay ?? null,
+      maxRentalDays: item.maxRentalDays,
+      owned: hasEntitlement(user, item.key),
+      rentedUntil: activeEntitlement(user, item.key)?.expiresAt || null,
+      refundable: refundCheck(user, item).ok,
+      purchasable: check.ok,
+      reason: check.ok ? "" : check.error
+    };
+  });
+}
+
+// Take one unit of stock (no-op for unlimited items). Returns false if sold out.
+async function reserveStock(item) {
+  if (item.stock === null || item.stock === undefined) {
+    await ShopItem.updateOne({ _id: item._id }, { $inc: { sold: 1 } });
+    return true;
+  }
+  const r = await ShopItem.updateOne(
+    { _id: item._id, stock: { $gt: 0 } },
+    { $inc: { stock: -1, sold: 1 } }
+  );
+  return (r.modifiedCount ?? r.nModified ?? 0) === 1;
+}
+
+async function releaseStock(item) {
+  const inc = item.stock === null || item.stock === undefined ? { sold: -1 } : { stock: 1, sold: -1 };
+  await ShopItem.updateOne({ _id: item._id }, { $inc: inc });
+}
+
+const CURRENCY_LABELS = { coins: "coins", ap: "AP" };
+
+/**
+ * Buy (or rent for `rentalDays`) an item with coins or AP (currency "coins" | "ap"):
+ * reserve stock, then debit + grant the entitlement in one atomic update.
+ * Rentals are coins only.
+ * Returns the ledger result ({ ok, fromUser, tx } or { ok: false, status, error }).
+ */
+async function purchaseItem(user, key, { rentalDays = 0, currency = "coins" } = {}) {
+  if (!CURRENCY_LABELS[currency]) return { ok: false, status: 400, error: "Invalid currency" };
+  if (rentalDays && currency !== "coins") {
+    return { ok: false, status: 400, error: "Rentals can only be paid with coins" };
+  }
+
+  const item = await ShopItem.findOne({ key }).lean();
+
+  // an expired rental the sweep hasn't removed yet would block buying again
+  const stale = (user.entitlements || []).some((e) => e.key === key && !isActive(e));
+  if (stale) {
+    await expireUserRentals(user._id);
+    user = (await User.findById(user._id)) || user;
+  }
+
+  const check = checkPurchasable(item, user);
+  if (!check.ok) return check;
+
+  const now = new Date();
+  let price = currency === "ap" ? item.apPrice : item.price;
+  if (!rentalDays && (price === null || price === undefined)) {
+    return { ok: false, status: 400, error: `This item can't be bought with ${CURRENCY_LABELS[currency]}` };
+  }
+  let expiresAt = null;
+  let type = "feature_purchase";
+  let description = `Feature purchase: ${item.key}`;
+
+  if (rentalDays) {
+    const days = Number(rentalDays);
+    if (item.rentalPricePerDay === null || item.rentalPricePerDay === undefined) {
+      return { ok: false, status: 400, error: "This item cannot be rented" };
+    }
+    if (!Number.isInteger(days) || days < 1 || days > (item.maxRentalDays || 30)) {
+      return { ok: false, status: 400, error: `Rental must be 1-${item.maxRentalDays || 30} days` };
+    }
+    price = item.rentalPricePerDay * days;
+    expiresAt = new Date(now.getTime() + days * DAY_MS);
+    type = "feature_rental";
+    description = `Feature rental: ${item.key} (${days} day${days === 1 ? "" : "s"})`;
+  }
+
+  if (!(await reserveStock(item))) return { ok: false, status: 400, error: "Out of stock" };
+
+  const entitlement = {
+    key: item.key,
+    source: rentalDays ? "rental" : "purchase",
+    grantedAt: now,
+    expiresAt,
+    pricePaid: price,
+    currency,
+    usageAtGrant: item.usageStat ? Number(user.stats?.[item.usageStat] || 0) : null
+  };
+
+  let result;
+  try {
+    result = await debit({
+      userId: user._id,
+      amount: price,
+      type,
+      description,
+      currency,
+      filter: {
+        "entitlements.key": { $ne: item.key },
+        [`unlocks.${item.key}`]: { $ne: true },
+        level: { $gte: item.requiredLevel || 1 }
+      },
+      update: { $push: { entitlements: entitlement } },
+      revert: { $pull: { entitlements: { key: item.key } } }
+    });
+  } catch (err) {
+    await releaseStock(item);
+    throw err;
+  }
+
+  if (!result.ok) await releaseStock(item);
+  return result;
+}
+
+/**
+ * Refund policy (config/economy.js SHOP_REFUNDS): within the window, and the
+ * item's usage stat hasn't changed since the entitlement was granted.
+ */
+function refundCheck(user, item, now = new Date()) {
+  const ent = activeEntitlement(user, item?.key);
+  if (!ent || !["purchase", "rental"].includes(ent.source)) {
+    return { ok: false, status: 400, error: "Nothing to refund for this item" };
+  }
+  if (now.getTime() - new Date(ent.grantedAt).getTime() > SHOP_REFUNDS.windowHours * 60 * 60 * 1000) {
+    return { ok: false, status: 400, error: `Refunds are only possible within ${SHOP_REFUNDS.windowHours} hours` };
+  }
+  if (item.usageStat && ent.usageAtGrant !== null && ent.usageAtGrant !== undefined) {
+    const used = Number(user.stats?.[item.usageStat] || 0) !== Number(ent.usageAtGrant);
+    if (used) return { ok: false, status: 400, error: "This feature has already been used" };
+  }
+  return { ok: true, entitlement: ent };
+}
+
+/**
+ * Refund a purchase/rental: credit the coins (or AP) back and remove the entitlement atomically.
+ */
+async function refundItem(user, key) {
+  const item = await ShopItem.findOne({ key }).lean();
+  if (!item) return { ok: false, status: 400, error: "Invalid feature" };
+
+  const check = refundCheck(user, item);
+  if (!check.ok) return check;
+
+  const ent = check.entitlement;
+  const currency = ent.currency || "coins";
+  const plain = ent.toObject ? ent.toObject() : { ...ent };
+  const amount = Math.floor((Number(ent.pricePaid) || 0) * SHOP_REFUNDS.percent / 100);
+
+  const match = { key: ent.key, grantedAt: ent.grantedAt };
+  const filter = { entitlements: { $elemMatch: match } };
+  // usage is re-checked in the same update, so using the feature meanwhile blocks the refund
+  if (item.usageStat && ent.usageAtGrant !== null && ent.usageAtGrant !== undefined) {
+    filter[`stats.${item.usageStat}`] = ent.usageAtGrant === 0 ? { $in: [0, null] } : ent.usageAtGrant;
+  }
+
+  const result = await credit({
+    userId: user._id,
+    amount,
+    type: "feature_refund",
+    description: `Feature refund: ${item.key}`,
+    currency,
+    filter,
+    update: { $pull: { entitlements: match } },
+    revert: { $push: { entitlements: plain } },
+    failMessage: "Nothing to refund for this item"
+  });
+
+  if (!result.ok) return result;
+  await releaseStock(item);
+  return { ...result, currency };
+}
+
+/**
+ * Remove expired rentals for one user. Each one gets a zero-amount ledger entry
+ * (same update as the removal) and an audit log row.
+ */
+async function expireUserRentals(userId) {
+  const now = new Date();
+  const user = await User.findById(userId, "username entitlements").lean();
+  if (!user) return 0;
+
+  let expired = 0;
+  for (const ent of user.entitlements || []) {
+    if (!ent.expiresAt || new Date(ent.expiresAt) > now) continue;
+
+    const match = { key: ent.key, grantedAt: ent.grantedAt };
+    const result = await debit({
+      userId,
+      amount: 0,
+      type: "rental_expiry",
+      description: `Rental expired: ${ent.key}`,
+      filter: { entitlements: { $elemMatch: match } },
+      update: { $pull: { entitlements: match } },
+      revert: { $push: { entitlements: ent } },
+      failMessage: "Rental already removed"
+    });
+    if (!result.ok) continue;
+
+    expired++;
+    await audit({
+      system: true,
+      action: "SHOP_RENTAL_EXPIRED",
+      targetUsername: user.username,
+      details: { key: ent.key, grantedAt: ent.grantedAt, expiresAt: ent.expiresAt }
+    });
+  }
+  return expired;
+}
+
+async function sweepExpiredRentals() {
+  const users = await User.find({ "entitlements.expiresAt": { $lte: new Date() } }, "_id")
+    .limit(500)
+    .lean();
+  let expired = 0;
+  for (const u of users) expired += await expireUserRentals(u._id);
+  return expired;
+}
+
+let sweepTimer = null;
+
+function startRentalSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    sweepExpiredRentals().catch((err) => console.error("rental sweep error:", err.message));
+  }, SHOP_RENTALS.sweepIntervalMs);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  ensureDefaultShopItems,
+  checkPurchasable,
+  listCatalog,
+  purchaseItem,
+  refundItem,
+  sweepExpiredRentals,
+  startRentalSweeper
+};
@@ -0,0 +1,164 @@
+const TransferCounter = require("../models/TransferCounter");
+const { TRANSFER_LIMITS } = require("../config/economy");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transfers and escrow holds both count as "coins sent" for the daily limits.
+// Days are UTC calendar days; each sender has one TransferCounter per day.
+
+/**
+ * Effective limits for a user (role + level from config/economy.js).
+ */
+function getTransferPolicy(user) {
+  const policy = { ...TRANSFER_LIMITS.default };
+
+  const level = Number(user?.level) || 1;
+  const levelKeys = Object.keys(TRANSFER_LIMITS.byLevel || {})
+    .map(Number)
+    .filter((n) => Number.isFinite(n) && n <= level)
+    .sort((a, b) => a - b);
+  for (const k of levelKeys) Object.assign(policy, TRANSFER_LIMITS.byLevel[k]);
+
+  const roleRule = TRANSFER_LIMITS.byRole?.[user?.role];
+  if (roleRule) Object.assign(policy, roleRule);
+
+  return policy;
+}
+
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextDayStart(date = new Date()) {
+  const d = new Date(date);
+  d.setUTCHours(24, 0, 0, 0);
+  return d;
+}
+
+function remaining(max, used) {
+  return max == null ? null : Math.max(0, max - used);
+}
+
+function accountAge(user, policy) {
+  const minAgeMs = (Number(policy.minAccountAgeHours) || 0) * 60 * 60 * 1000;
+  const createdAt = user.createdAt ? new Date(user.createdAt).getTime() : 0;
+  const canSendFrom = new Date(createdAt + minAgeMs);
+  return { accountOldEnough: canSendFrom.getTime() <= Date.now(), canSendFrom };
+}
+
+/**
+ * Current allowance for a user (used by GET /api/coins/limits).
+ * Pass a recipient to also get the per-recipient remaining amount.
+ */
+async function getAllowance(user, recipient = null) {
+  const policy = getTransferPolicy(user);
+  const counter = await TransferCounter.findOne({ userId: user._id, day: dayKey() }).lean();
+
+  const used = { transfers: counter?.transfers || 0, coins: counter?.coins || 0 };
+  const usedToRecipient = recipient ? counter?.toRecipients?.[String(recipient._id)] || 0 : 0;
+
+  return {
+    limits: policy,
+    used,
+    remaining: {
+      transfers: remaining(policy.maxTransfersPerDay, used.transfers),
+      coins: remaining(policy.maxCoinsPerDay, used.coins),
+      toRecipient: recipient ? remaining(policy.maxCoinsPerRecipientPerDay, usedToRecipient) : undefined
+    },
+    resetsAt: nextDayStart(),
+    ...accountAge(user, policy)
+  };
+}
+
+// Which limit a refused reservation ran into (for the error message)
+function limitError(policy, counter, amt) {
+  if (policy.maxTransfersPerDay != null && (counter?.transfers || 0) >= policy.maxTransfersPerDay) {
+    return { ok: false, status: 429, error: "Daily transfer count limit reached" };
+  }
+  if (policy.maxCoinsPerDay != null && (counter?.coins || 0) + amt > policy.maxCoinsPerDay) {
+    return { ok: false, status: 429, error: "Daily coin sending limit reached" };
+  }
+  return { ok: false, status: 429, error: "Daily limit for this recipient reached" };
+}
+
+/**
+ * Check one outgoing transfer against the policy and take it out of today's
+ * allowance in the same step: a conditional $inc on the sender's TransferCounter,
+ * so parallel transfers can't all pass on the same remaining amount.
+ *
+ * Returns { ok: true, reservation } or { ok: false, status, error }. If the
+ * coins then don't move, hand the reservation to releaseTransfer.
+ */
+async function reserveTransfer(sender, recipient, amount) {
+  const amt = Number(amount);
+  if (!Number.isFinite(amt) || amt <= 0) return { ok: false, status: 400, error: "Invalid amount" };
+
+  const policy = getTransferPolicy(sender);
+  const age = accountAge(sender, policy);
+  if (!age.accountOldEnough) {
+    return {
+      ok: false,
+      status: 403,
+      error: `Your account is too new to send coins (allowed from ${age.canSendFrom.toISOString()})`
+    };
+  }
+
+  const perRecipient = policy.maxCoinsPerRecipientPerDay;
+  if (perRecipient != null && amt > perRecipient) {
+    return { ok: false, status: 429, error: "Daily limit for this recipient reached" };
+  }
+
+  const day = dayKey();
+  const userId = sender._id;
+  const recipientKey = `toRecipients.${recipient._id}`;
+
+  // today's counter has to exist for the conditional update below to match
+  try {
+    await TransferCounter.updateOne(
+      { userId, day },
+      {
+        $setOnInsert: {
+          transfers: 0,
+          coins: 0,
+          toRecipients: {},
+          expiresAt: new Date(nextDayStart().getTime() + DAY_MS)
+        }
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err; // a parallel transfer created it first
+  }
+
+  const limits = [];
+  if (policy.maxTransfersPerDay != null) limits.push({ transfers: { $lt: policy.maxTransfersPerDay } });
+  if (policy.maxCoinsPerDay != null) limits.push({ coins: { $lte: policy.maxCoinsPerDay - amt } });
+  if (perRecipient != null) {
+    limits.push({ $or: [{ [recipientKey]: { $exists: false } }, { [recipientKey]: { $lte: perRecipient - amt } }] });
+  }
+
+  const counter = await TransferCounter.findOneAndUpdate(
+    { userId, day, ...(limits.length ? { $and: limits } : {}) },
+    { $inc: { transfers: 1, coins: amt, [recipientKey]: amt } },
+    { new: true }
+  ).lean();
+  if (!counter) {
+    const current = await TransferCounter.findOne({ userId, day }).lean();
+    return limitError(policy, current, amt);
+  }
+
+  return { ok: true, reservation: { userId, day, recipientKey, amount: amt } };
+}
+
+/**
+ * Give a reservation back (the transfer it was for failed).
+ */
+async function releaseTransfer(reservation) {
+  const { userId, day, recipientKey, amount } = reservation;
+  await TransferCounter.updateOne(
+    { userId, day },
+    { $inc: { transfers: -1, coins: -amount, [recipientKey]: -amount } }
+  );
+}
+
+module.exports = { getTransferPolicy, getAllowance, reserveTransfer, releaseTransfer };